@@ -0,0 +1,140 @@
+/* =========================================================
+   Archetype: chat-race
+   Every viewer is a racer. Chatting (the keyword, or anything when no keyword is set)
+   moves you forward, likes nudge you, gifts give a boost. First across the finish line
+   ends the round; otherwise whoever is furthest when the timer runs out wins. A busy LIVE
+   (difficulty()) lengthens the track.
+   Spec: chatRace { trackLength, keyword, boostPerChat, boostPerLike, boostPerGift,
+   chatCooldownMs, lanes, racerEmoji }
+========================================================= */
+function createArchetype() {
+  const cfg = S.chatRace || {};
+  const trackLength = Math.max(10, Number(cfg.trackLength ?? 100) || 100);
+  const keyword = normalizeChat(cfg.keyword || "");
+  const boostPerChat = Number(cfg.boostPerChat ?? 4) || 0;
+  const boostPerLike = Number(cfg.boostPerLike ?? 0.2) || 0;
+  const boostPerGift = Number(cfg.boostPerGift ?? 10) || 0;
+  const chatCooldownMs = clampInt(cfg.chatCooldownMs ?? 600, 0, 10000);
+  const lanes = clampInt(cfg.lanes ?? 8, 3, 12);
+  const racerEmoji = String(cfg.racerEmoji || "🏎️");
+
+  let winner = null;
+  let track = trackLength;
+
+  function reset() {
+    winner = null;
+    track = Math.round(trackLength * difficulty());
+    for (const u of users.values()) u.lastMoveAt = 0;
+  }
+
+  function advance(u, amount) {
+    if (!u || !amount || winner) return;
+    u.score = Math.min(track, Math.round((u.score + amount) * 10) / 10);
+    renderScoreboard();
+    updateHud();
+    if (u.score >= track) {
+      winner = u;
+      const lane = laneRects().find((l) => l.u === u);
+      if (lane) burst(lane.finishX, lane.y + lane.h / 2, true);
+      sfx("hit");
+      finishRound();
+    }
+  }
+
+  function onChat(text, user) {
+    if (keyword && !normalizeChat(text).startsWith(keyword)) return false;
+    const u = registerUser(user);
+    if (!u) return false;
+
+    const now = Date.now();
+    if (u.lastMoveAt && now - u.lastMoveAt < chatCooldownMs) return !!keyword;
+    u.lastMoveAt = now;
+    advance(u, boostPerChat);
+    return !!keyword; // free-text chat still shows as a flag
+  }
+
+  function onLike(user, likeCount) {
+    advance(registerUser(user), boostPerLike * clampInt(likeCount || 1, 1, 50));
+  }
+
+  function onGift(user, giftName, repeatCount) {
+    const u = registerUser(user);
+    if (!u) return;
+    const amount = boostPerGift * clampInt(repeatCount || 1, 1, 99);
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `GIFT: ${giftName} → NITRO +${amount}` });
+    sfx("scan");
+    advance(u, amount);
+  }
+
+  function pct(u) { return Math.round((u.score / track) * 100); }
+
+  function roundResult(best) {
+    if (winner) return { user: winner, text: "crossed the finish line first!" };
+    if (best && best.score > 0) return { user: best, text: `led the race at ${pct(best)}%` };
+    return null;
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function laneRects() {
+    const b = boardRect();
+    const racers = rankedUsers().slice(0, lanes);
+    const h = Math.min(b.h / lanes, b.h * 0.14);
+    const startX = b.x + b.w * 0.08;
+    const finishX = b.x + b.w - b.w * 0.06;
+    return racers.map((u, i) => ({ u, x: b.x, y: b.y + i * h, w: b.w, h, startX, finishX }));
+  }
+
+  function draw() {
+    const b = boardRect();
+    const rows = laneRects();
+
+    // finish line
+    const finishX = b.x + b.w - b.w * 0.06;
+    for (let i = 0; i < 16; i++) {
+      ctx.fillStyle = i % 2 ? "rgba(255,255,255,0.85)" : "rgba(0,0,0,0.6)";
+      ctx.fillRect(finishX - 4, b.y + (b.h / 16) * i, 8, b.h / 16);
+    }
+
+    if (!rows.length) {
+      drawText(keyword ? `Type "${keyword}" to race!` : "Chat to race!", b.x + b.w / 2, b.y + b.h / 2, Math.max(16, b.w * 0.05));
+      return;
+    }
+
+    rows.forEach((r, i) => {
+      ctx.fillStyle = i % 2 ? "rgba(0,0,0,0.18)" : "rgba(255,255,255,0.04)";
+      ctx.fillRect(r.x, r.y, r.w, r.h);
+      const x = r.startX + (r.finishX - r.startX) * clamp01(r.u.score / track);
+      drawText(String(i + 1), r.x + 14, r.y + r.h / 2, r.h * 0.32, { color: "rgba(255,255,255,0.6)" });
+      drawEmoji(racerEmoji, x, r.y + r.h * 0.45, r.h * 0.55);
+      drawText(r.u.nickname, x, r.y + r.h * 0.88, Math.max(10, r.h * 0.2), { weight: 700, color: "rgba(255,255,255,0.8)" });
+    });
+  }
+
+  return {
+    scoreTitle: "Leaders (Progress)",
+    scoreUnit: "progress",
+    idleHint: "TAP TO RACE",
+    practiceHint: "Tap to drive",
+    joinedText: "lined up at the start",
+    hostTips: [
+      keyword ? `Pin: type "${keyword}" to drive forward.` : "Pin: every chat message drives you forward.",
+      "Likes nudge your racer; gifts fire the nitro.",
+      "First across the line wins the round.",
+    ],
+    hud: () => {
+      const lead = rankedUsers()[0];
+      return [["Racers", users.size], ["Leader", lead ? `${pct(lead)}%` : "—"]];
+    },
+    initUser(u) { u.lastMoveAt = 0; },
+    reset,
+    onChat,
+    onLike,
+    onGift,
+    onTap(x, y, host) { advance(registerUser(host), boostPerChat); },
+    draw,
+    roundResult,
+    scoreText: (u) => `${pct(u)}%`,
+  };
+}
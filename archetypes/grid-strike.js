@@ -0,0 +1,650 @@
+/* =========================================================
+   Archetype: grid-strike
+   Chat calls coordinates (A4, !fire A4) to hunt a hidden fleet on an N×N grid. Ships
+   (gridStrike.ships) lie horizontally or vertically without overlapping; the hit that sinks
+   one scores the final blow, everyone else who hit it gets an assist. Likes charge radar
+   scans, gifts trigger the effects in gridStrike.giftRules; most hits wins the round, which
+   also ends once the whole fleet is sunk. A busy LIVE (difficulty()) stretches the
+   per-viewer shot cooldown.
+   With teamMode on, viewers pick a side ("!join red"), hits add to their team's total and
+   the team with the most points wins the round. Teams are kept between rounds.
+   Spec: gridStrike { ships: [{ name, length }],
+   giftRules: [{ gift | minDiamonds, effect, amount, team?, target? }],
+   teamMode: { enabled, teams: [{ id, name, color, emoji }], autoBalance, winnerFlash } },
+   defaultSettings.gridSize, defaultSettings.winGoal (total hits that end the round),
+   commands.fire, visuals.hitEmoji / missEmoji / scanEmoji.
+========================================================= */
+function createArchetype() {
+  const gridSize = clampInt(S.defaultSettings.gridSize, 6, 14);
+  const cfg = S.gridStrike || {};
+  const giftRules = Array.isArray(cfg.giftRules) ? cfg.giftRules : [{ minDiamonds: 0, effect: "airstrike", amount: 1 }];
+  const fleet = (Array.isArray(cfg.ships) && cfg.ships.length ? cfg.ships : [
+    { name: "Carrier", length: 5 }, { name: "Battleship", length: 4 }, { name: "Cruiser", length: 3 },
+    { name: "Submarine", length: 3 }, { name: "Destroyer", length: 2 },
+  ])
+    .map((sh) => ({ name: String(sh.name || "Ship"), length: clampInt(sh.length, 1, gridSize) }))
+    .sort((a, b) => b.length - a.length); // longest first so placement rarely gets stuck
+  const MULTIPLIER_HITS = 5; // hits a score multiplier lasts (per gift in a combo)
+  const teamMode = cfg.teamMode?.enabled && Array.isArray(cfg.teamMode.teams) && cfg.teamMode.teams.length >= 2 ? cfg.teamMode : null;
+  const teams = teamMode ? teamMode.teams : [];
+
+  const board = new Array(gridSize * gridSize).fill(0); // 0 empty, 1 miss, 2 hit, 3 scan
+  const ships = [];             // { name, length, cells, hits: Map(userId -> hits), sunk }
+  const shipAt = new Map();     // cell index -> ship
+  const hitColors = new Map(); // cell index -> team color of the hit (team mode)
+  const teamScores = new Map(); // team id -> points this round
+
+  let totalHits = 0;
+  let likesBank = 0;
+
+  // More hits than the fleet has cells can never happen: sinking it ends the round first.
+  const fleetCells = fleet.reduce((n, sh) => n + sh.length, 0);
+  function winGoal() { return clampInt(settingNum("winGoal", S.defaultSettings.winGoal), Math.min(5, fleetCells), Math.min(999, fleetCells)); }
+
+  function reset() {
+    board.fill(0);
+    ships.length = 0;
+    shipAt.clear();
+    totalHits = 0;
+    likesBank = 0;
+    hitColors.clear();
+    teamScores.clear();
+
+    for (const u of users.values()) initUser(u); // gift effects last until the round ends
+
+    placeFleet();
+  }
+
+  function initUser(u) {
+    u.shots = 0;
+    u.lastShotAt = 0;
+    u.lastRow = null;
+    u.lastCol = null;
+    u.freeShots = 0;      // rapid shots that skip the cooldown
+    u.shields = 0;        // misses that refund the cooldown
+    u.multiplier = 1;
+    u.multiplierHits = 0;
+  }
+
+  // Match stats: kept across rounds, cleared when a new match starts.
+  function initTotals(u) {
+    u.sinks = 0;          // final blows
+    u.assists = 0;        // hits on ships someone else finished
+  }
+
+  // Random non-overlapping horizontal/vertical placement; a ship that finds no room after
+  // many tries is left out (only possible with a fleet too big for the grid).
+  function placeFleet() {
+    for (const spec of fleet) {
+      let cells = null;
+      for (let tries = 0; tries < 400 && !cells; tries++) {
+        const across = Math.random() < 0.5;
+        const row = randInt(0, across ? gridSize - 1 : gridSize - spec.length);
+        const col = randInt(0, across ? gridSize - spec.length : gridSize - 1);
+        const next = Array.from({ length: spec.length }, (_, i) => (across ? row * gridSize + col + i : (row + i) * gridSize + col));
+        if (next.every((idx) => !shipAt.has(idx))) cells = next;
+      }
+      if (!cells) {
+        console.warn(`No room for ${spec.name} (${spec.length}) on a ${gridSize}x${gridSize} grid`);
+        continue;
+      }
+      const ship = { name: spec.name, length: spec.length, cells, hits: new Map(), sunk: false };
+      ships.push(ship);
+      for (const idx of cells) shipAt.set(idx, ship);
+    }
+  }
+
+  function shipsAfloat() { return ships.filter((sh) => !sh.sunk).length; }
+
+  function isShot(idx) { return board[idx] === 1 || board[idx] === 2; }
+
+  function tryFireAt(text, user) {
+    // Accept:
+    // - "!fire A4"
+    // - "A4"
+    // - "a-4"
+    // - "fire a4"
+    const coord = parseCoordinate(text, gridSize, S.commands.fire);
+    if (!coord) return false;
+
+    const u = registerUser(user) || { nickname: "Player" };
+    if (needsTeam(u)) return true;
+    const idx = coord.row * gridSize + coord.col;
+    if (isShot(idx)) return true;
+
+    // simple per-user cooldown to reduce spam; rapid shots from gifts skip it
+    const now = Date.now();
+    if (u.lastShotAt && now - u.lastShotAt < 1200 * difficulty()) {
+      if (!u.freeShots) return true;
+      u.freeShots -= 1;
+    }
+    u.lastShotAt = now;
+    u.lastRow = coord.row; // row/column strikes aim here first
+    u.lastCol = coord.col;
+
+    const { hit, pts } = shoot(idx, u);
+    if (hit) {
+      const bonus = pts > 1 ? ` (x${pts})` : "";
+      addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `HIT ${S.visuals.hitEmoji} at ${coord.label}${bonus}` });
+      flashWinner(u, `HIT ${S.visuals.hitEmoji} • ${coord.label}${bonus}`);
+    } else {
+      let shield = "";
+      if (u.shields) {
+        u.shields -= 1;
+        u.lastShotAt = 0;
+        shield = " • 🛡️ no cooldown";
+      }
+      addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `MISS ${S.visuals.missEmoji} at ${coord.label}${shield}` });
+      flashWinner(u, `MISS ${S.visuals.missEmoji} • ${coord.label}`);
+    }
+
+    settle();
+    return true;
+  }
+
+  // Resolves one shot (board, stats, score, effects); callers add flags and settle().
+  function shoot(idx, u) {
+    const col = idx % gridSize;
+    const row = Math.floor(idx / gridSize);
+    u.shots += 1;
+
+    const ship = shipAt.get(idx);
+    if (!ship) {
+      board[idx] = 1;
+      burstAtCell(col, row, false);
+      sfx("miss");
+      return { hit: false, pts: 0 };
+    }
+
+    board[idx] = 2;
+    totalHits += 1;
+    const pts = u.multiplierHits > 0 ? u.multiplier : 1;
+    if (u.multiplierHits > 0 && --u.multiplierHits === 0) u.multiplier = 1;
+    u.score += pts;
+    const team = teamOf(u);
+    if (team) {
+      teamScores.set(team.id, (teamScores.get(team.id) || 0) + pts);
+      hitColors.set(idx, team.color);
+    }
+    burstAtCell(col, row, true);
+    sfx("hit");
+    ship.hits.set(u.userId, (ship.hits.get(u.userId) || 0) + 1);
+    if (ship.cells.every(isShot)) sink(ship, u);
+    return { hit: true, pts };
+  }
+
+  // Final blow to `u`; everyone else who hit the ship gets an assist.
+  function sink(ship, u) {
+    ship.sunk = true;
+    u.sinks += 1;
+    const helpers = [];
+    for (const id of ship.hits.keys()) {
+      const h = users.get(id);
+      if (!h || h === u) continue;
+      h.assists += 1;
+      helpers.push(h.nickname);
+    }
+    for (const idx of ship.cells) burstAtCell(idx % gridSize, Math.floor(idx / gridSize), true);
+    const assists = helpers.length ? ` • assists: ${helpers.slice(0, 3).join(", ")}${helpers.length > 3 ? ` +${helpers.length - 3}` : ""}` : "";
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `SUNK 🚢 ${ship.name} (${ship.length})${assists}` });
+    // after the HIT flash; skipped once the round is over (it has its own flash)
+    if (shipsAfloat()) roundTimeout(() => flashWinner(u, `SUNK the ${ship.name}! 🚢 Final blow`), 250);
+  }
+
+  function settle() {
+    renderScoreboard();
+    updateHud();
+    if (totalHits >= winGoal() || (ships.length && !shipsAfloat())) finishRound();
+  }
+
+  function onLike(user, likeCount) {
+    const u = registerUser(user) || { nickname: "Someone", profilePictureUrl: "" };
+    likesBank += clampInt(likeCount || 1, 1, 9999);
+    if (likesBank >= 50) {
+      likesBank = 0;
+      revealHintCell(u);
+    }
+  }
+
+  // Marks a cell next to a hidden ship; quiet when a gift flag already announces it.
+  function revealHintCell(u, quiet) {
+    const candidates = [];
+    for (const [t, ship] of shipAt) {
+      if (ship.sunk) continue;
+      const r = Math.floor(t / gridSize);
+      const c = t % gridSize;
+      for (const [dr, dc] of [[-1,0],[1,0],[0,-1],[0,1]]) {
+        const rr = r + dr, cc = c + dc;
+        if (rr < 0 || rr >= gridSize || cc < 0 || cc >= gridSize) continue;
+        const idx = rr * gridSize + cc;
+        if (board[idx] === 0) candidates.push(idx);
+      }
+    }
+    if (!candidates.length) return false;
+
+    const idx = candidates[randInt(0, candidates.length - 1)];
+    board[idx] = 3;
+
+    const p = cellCenter(idx % gridSize, Math.floor(idx / gridSize));
+    ripple(p.x, p.y);
+    sfx("scan");
+    if (!quiet) addFlag({ pfpUrl: u?.profilePictureUrl, line1: `${u?.nickname || "Like storm!"}`, line2: `SCAN ${S.visuals.scanEmoji} reveals a warm spot` });
+    return true;
+  }
+
+  // -----------------------------
+  // Teams (gridStrike.teamMode)
+  // -----------------------------
+  function teamOf(u) { return (teamMode && teams.find((t) => t.id === u?.team)) || null; }
+  function teamLabel(t) { return `${t.emoji} ${t.name}`; }
+
+  function teamFromText(text) {
+    const t = normalizeChat(text);
+    if (!t) return null;
+    return teams.find((team) => normalizeChat(team.id) === t || normalizeChat(team.name) === t) || null;
+  }
+
+  function members(team) { return [...users.values()].filter((u) => u.team === team.id); }
+
+  function memberCount(team, except) {
+    let n = 0;
+    for (const u of users.values()) if (u !== except && u.team === team.id) n++;
+    return n;
+  }
+
+  function smallestTeam(except) {
+    return teams.reduce((a, t) => (memberCount(t, except) < memberCount(a, except) ? t : a));
+  }
+
+  function joinHint() {
+    const join = String(S.commands.join || "!join").split(/\s+/)[0];
+    return teams.map((t) => `${join} ${t.id}`).join(" / ");
+  }
+
+  function pickHint() { return `pick a team: ${joinHint()}`; }
+
+  // Puts u on `picked` (or the smallest team). With autoBalance a pick that would leave a
+  // team two players ahead goes to the smallest team instead. Returns the flag line.
+  function joinTeam(u, picked) {
+    let t = picked;
+    let note = "";
+    const smallest = smallestTeam(u);
+    if (teamMode.autoBalance && (!t || memberCount(t, u) > memberCount(smallest, u))) {
+      if (t && t !== smallest) note = ` (${t.name} is full)`;
+      t = smallest;
+    }
+    if (u.team === t.id) return `is on ${teamLabel(t)}${note}`;
+    u.team = t.id;
+    renderScoreboard();
+    updateHud();
+    return `joined ${teamLabel(t)}${note}`;
+  }
+
+  function onJoin(u, arg) {
+    if (!teamMode) return "";
+    const picked = teamFromText(arg);
+    if (!picked && !teamMode.autoBalance) return pickHint();
+    return joinTeam(u, picked);
+  }
+
+  // Shooting without a team: autoBalance places the viewer, otherwise the shot is refused.
+  function needsTeam(u) {
+    if (!teamMode || teamOf(u)) return false;
+    const line2 = teamMode.autoBalance ? joinTeam(u, null) : pickHint();
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2 });
+    return !teamMode.autoBalance;
+  }
+
+  function teamStandings() {
+    return teams
+      .map((t) => ({
+        ...t,
+        score: teamScores.get(t.id) || 0,
+        players: memberCount(t),
+        top: members(t).sort((a, b) => b.score - a.score).find((u) => u.score > 0) || null,
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  function roundResult() {
+    if (!teamMode || !teamMode.winnerFlash) return null;
+    const standings = teamStandings();
+    const lead = standings[0];
+    if (!lead.score) return null;
+    const tied = standings.filter((t) => t.score === lead.score);
+    if (tied.length > 1) return { user: { nickname: "Teams tied!" }, text: `${tied.map(teamLabel).join(" & ")} • ${plural(lead.score, "hit")} each` };
+    const mvp = lead.top ? ` • MVP ${lead.top.nickname}` : "";
+    return { user: { nickname: teamLabel(lead) }, text: `wins the round with ${plural(lead.score, "hit")}${mvp}` };
+  }
+
+  // -----------------------------
+  // Gift effects (gridStrike.giftRules)
+  // -----------------------------
+  // Every rule naming the gift (by name or id) fires; otherwise the highest diamond tier
+  // the gift reaches. A combo of N gifts multiplies the amount (capped per effect).
+  // Rules tied to a team only count for gifters on that team.
+  function rulesFor(gift, u) {
+    const name = normalizeChat(gift.name);
+    const id = String(gift.id || "");
+    const rules = giftRules.filter((r) => !r.team || (teamMode && r.team === u.team));
+    const named = rules.filter((r) => r.gift && (normalizeChat(r.gift) === name || (id && String(r.gift) === id)));
+    if (named.length) return named;
+
+    let best = null;
+    for (const r of rules) {
+      if (r.gift || (r.minDiamonds || 0) > (gift.diamonds || 0)) continue;
+      if (!best || (r.minDiamonds || 0) > (best.minDiamonds || 0)) best = r;
+    }
+    return best ? [best] : [];
+  }
+
+  function plural(n, word) { return `${n} ${word}${n === 1 ? "" : "s"}`; }
+
+  function describeEffect(effect, n) {
+    switch (effect) {
+      case "airstrike": return plural(n, "random airstrike");
+      case "extraShots": return `${plural(n, "rapid shot")} (no cooldown)`;
+      case "rowStrike": return plural(n, "row strike");
+      case "columnStrike": return plural(n, "column strike");
+      case "radarScan": return plural(n, "radar scan");
+      case "timeExtension": return `+${n}s on the clock`;
+      case "multiplier": return `x${clampInt(n, 2, 10)} points for ${MULTIPLIER_HITS} hits`;
+      case "shield": return `${plural(n, "shield")} (a miss costs no cooldown)`;
+      default: return effect;
+    }
+  }
+
+  // Applies one rule; returns the flag text ("" when it had nothing to do).
+  // `target: "team"` hands shots, shields and multipliers to every member of the gifter's team.
+  function applyEffect(u, rule, combo) {
+    const amount = (max) => clampInt((rule.amount || 1) * combo, 1, max);
+    const team = rule.target === "team" ? teamOf(u) : null;
+    const crew = team ? members(team) : [u];
+    const who = team ? ` for ${teamLabel(team)}` : "";
+
+    switch (rule.effect) {
+      case "airstrike": {
+        const n = amount(10);
+        for (let i = 0; i < n; i++) roundTimeout(() => airstrike(u), 120 * i);
+        return `AIRSTRIKE x${n}`;
+      }
+      case "extraShots": {
+        const n = amount(50);
+        for (const m of crew) m.freeShots += n;
+        return `+${n} RAPID SHOTS${who} (no cooldown)`;
+      }
+      case "rowStrike":
+      case "columnStrike": {
+        const axis = rule.effect === "rowStrike" ? "row" : "column";
+        const lines = lineStrike(u, axis, amount(3));
+        return lines.length ? `${axis.toUpperCase()} STRIKE ${lines.join(", ")}` : "";
+      }
+      case "radarScan": {
+        const n = amount(10);
+        let found = 0;
+        for (let i = 0; i < n; i++) if (revealHintCell(u, true)) found++;
+        return found ? `RADAR SCAN ${S.visuals.scanEmoji} x${found}` : "";
+      }
+      case "timeExtension": {
+        if (roundEnding || timeLeft <= 0) return "";
+        const n = amount(120);
+        timeLeft += n;
+        updateHud();
+        return `+${n}s ON THE CLOCK ⏱️`;
+      }
+      case "multiplier": {
+        for (const m of crew) {
+          m.multiplier = Math.max(m.multiplier, clampInt(rule.amount, 2, 10));
+          m.multiplierHits += MULTIPLIER_HITS * clampInt(combo, 1, 10);
+        }
+        return `x${u.multiplier} POINTS${who} for the next ${u.multiplierHits} hits`;
+      }
+      case "shield": {
+        const n = amount(20);
+        for (const m of crew) m.shields += n;
+        return `SHIELD 🛡️ x${n}${who} (misses cost no cooldown)`;
+      }
+      default:
+        return "";
+    }
+  }
+
+  function onGift(user, giftName, repeatCount, gift) {
+    const u = registerUser(user);
+    if (!u) return;
+    if (teamMode && teamMode.autoBalance && !teamOf(u)) joinTeam(u, null);
+    const g = gift || { id: "", name: giftName, diamonds: 0 };
+    const combo = clampInt(repeatCount || 1, 1, 99);
+
+    let shown = 0;
+    for (const rule of rulesFor(g, u)) {
+      const text = applyEffect(u, rule, combo);
+      if (!text) continue;
+      addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `GIFT: ${giftName} → ${text}` });
+      shown++;
+    }
+    if (shown) sfx("scan");
+    else addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `GIFT: ${giftName} — thank you! 💖` });
+  }
+
+  function airstrike(u) {
+    const candidates = [];
+    for (let i = 0; i < board.length; i++) if (board[i] === 0) candidates.push(i);
+    if (!candidates.length) return;
+
+    shoot(candidates[randInt(0, candidates.length - 1)], u);
+    settle();
+  }
+
+  // Fires every open cell of `count` lines: the row/column of the gifter's last chat shot
+  // first, then the lines with the most unexplored cells. Returns labels like "4 (2 hits)".
+  function lineStrike(u, axis, count) {
+    const cellOf = (line, i) => (axis === "row" ? line * gridSize + i : i * gridSize + line);
+    const open = (line) => {
+      let n = 0;
+      for (let i = 0; i < gridSize; i++) if (!isShot(cellOf(line, i))) n++;
+      return n;
+    };
+
+    const labels = [];
+    for (let k = 0; k < count; k++) {
+      const last = axis === "row" ? u.lastRow : u.lastCol;
+      let line = last != null && open(last) > 0 ? last : -1;
+      for (let l = 0; l < gridSize && line < 0; l++) if (open(l) > 0) line = l;
+      for (let l = 0; l < gridSize; l++) if (line >= 0 && line !== last && open(l) > open(line)) line = l;
+      if (line < 0) break;
+
+      let hits = 0;
+      for (let i = 0; i < gridSize; i++) {
+        const idx = cellOf(line, i);
+        if (!isShot(idx) && shoot(idx, u).hit) hits++;
+      }
+      labels.push(`${axis === "row" ? line + 1 : toColLabel(line)} (${plural(hits, "hit")})`);
+    }
+    settle();
+    return labels;
+  }
+
+  // How to Play lines: named gifts first, then diamond tiers from cheapest.
+  function giftHelp() {
+    return giftRules
+      .filter((r) => !r.team || teamMode)
+      .sort((a, b) => (a.gift ? 0 : 1) - (b.gift ? 0 : 1) || (a.minDiamonds || 0) - (b.minDiamonds || 0))
+      .map((r) => {
+        const team = teams.find((t) => t.id === r.team);
+        const scope = `${team ? ` (${teamLabel(team)} only)` : ""}${r.target === "team" && teamMode ? " for your whole team" : ""}`;
+        return `${r.gift || (r.minDiamonds ? `${r.minDiamonds}+ 💎` : "Any gift")}${scope} → ${describeEffect(r.effect, r.amount || 1)}`;
+      });
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function burstAtCell(col, row, isHit) {
+    const p = cellCenter(col, row);
+    burst(p.x, p.y, isHit);
+  }
+
+  function gridRect() {
+    const padX = Math.max(44, canvas.width * 0.075);
+    const padY = Math.max(120, canvas.height * 0.12);
+    const size = Math.min(canvas.width - padX * 2, canvas.height - padY * 2);
+    const x = (canvas.width - size) / 2;
+    const y = Math.max(110, canvas.height * 0.16);
+    return { x, y, size };
+  }
+
+  function cellCenter(col, row) {
+    const gr = gridRect();
+    const cs = gr.size / gridSize;
+    return { x: gr.x + (col + 0.5) * cs, y: gr.y + (row + 0.5) * cs, cs };
+  }
+
+  function pointToCell(x, y) {
+    const gr = gridRect();
+    if (x < gr.x || x > gr.x + gr.size || y < gr.y || y > gr.y + gr.size) return null;
+    const cs = gr.size / gridSize;
+    const col = Math.floor((x - gr.x) / cs);
+    const row = Math.floor((y - gr.y) / cs);
+    if (col < 0 || row < 0 || col >= gridSize || row >= gridSize) return null;
+    return { col, row };
+  }
+
+  function drawGrid() {
+    const gr = gridRect();
+    const cs = gr.size / gridSize;
+
+    ctx.strokeStyle = "rgba(255,255,255,0.14)";
+    ctx.lineWidth = Math.max(2, cs * 0.04);
+    roundRect(ctx, gr.x - 8, gr.y - 8, gr.size + 16, gr.size + 16, 16);
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(255,255,255,0.75)";
+    ctx.font = `900 ${Math.max(12, cs * 0.28)}px system-ui`;
+    for (let c = 0; c < gridSize; c++) {
+      const t = toColLabel(c);
+      const x = gr.x + c * cs + cs / 2;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(t, x, gr.y - cs * 0.55);
+      ctx.fillText(t, x, gr.y + gr.size + cs * 0.55);
+    }
+    for (let r = 0; r < gridSize; r++) {
+      const t = String(r + 1);
+      const y = gr.y + r * cs + cs / 2;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(t, gr.x - cs * 0.55, y);
+      ctx.fillText(t, gr.x + gr.size + cs * 0.55, y);
+    }
+
+    for (let r = 0; r < gridSize; r++) {
+      for (let c = 0; c < gridSize; c++) {
+        const idx = r * gridSize + c;
+        const x = gr.x + c * cs;
+        const y = gr.y + r * cs;
+
+        ctx.fillStyle = "rgba(0,0,0,0.18)";
+        ctx.fillRect(x + 1, y + 1, cs - 2, cs - 2);
+
+        const tint = board[idx] === 2 && hitColors.get(idx);
+        if (tint) {
+          ctx.fillStyle = tint + "55";
+          ctx.fillRect(x + 1, y + 1, cs - 2, cs - 2);
+        }
+
+        if (board[idx] === 1) drawEmoji(S.visuals.missEmoji, x + cs / 2, y + cs / 2, cs * 0.55);
+        else if (board[idx] === 2) drawEmoji(S.visuals.hitEmoji, x + cs / 2, y + cs / 2, cs * 0.60);
+        else if (board[idx] === 3) drawEmoji(S.visuals.scanEmoji, x + cs / 2, y + cs / 2, cs * 0.50);
+
+        ctx.strokeStyle = "rgba(255,255,255,0.08)";
+        ctx.lineWidth = Math.max(1, cs * 0.02);
+        ctx.strokeRect(x, y, cs, cs);
+      }
+    }
+
+    // sunk ships: outline the whole hull (cells run left-to-right or top-to-bottom)
+    ctx.strokeStyle = "rgba(255,214,10,0.9)";
+    ctx.lineWidth = Math.max(2, cs * 0.08);
+    for (const ship of ships) {
+      if (!ship.sunk) continue;
+      const first = ship.cells[0];
+      const last = ship.cells[ship.cells.length - 1];
+      const x = gr.x + (first % gridSize) * cs;
+      const y = gr.y + Math.floor(first / gridSize) * cs;
+      const w = ((last % gridSize) - (first % gridSize) + 1) * cs;
+      const h = (Math.floor(last / gridSize) - Math.floor(first / gridSize) + 1) * cs;
+      roundRect(ctx, x + 3, y + 3, w - 6, h - 6, cs * 0.2);
+      ctx.stroke();
+    }
+  }
+
+  function parseCoordinate(text, size, firePatternHint) {
+    const t0 = String(text || "").trim();
+    if (!t0) return null;
+
+    // allow "!fire A4" style; remove the "!fire" part if present
+    const hint = String(firePatternHint || "!fire A4").split(/\s+/)[0].trim();
+    let t = t0;
+
+    // also accept "fire A4"
+    const tLower = normalizeChat(t);
+    const fireLower = normalizeChat(hint);
+    if (fireLower && tLower.startsWith(fireLower)) t = t.slice(hint.length).trim();
+    if (tLower.startsWith("fire ")) t = t.slice(5).trim();
+
+    // accept "A4", "a-4", "A 4", etc.
+    const cleaned = t.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    const m = cleaned.match(/^([A-Z])([0-9]{1,2})$/);
+    if (!m) return null;
+
+    const col = m[1].charCodeAt(0) - 65;
+    const row = Number(m[2]) - 1;
+    if (col < 0 || col >= size || row < 0 || row >= size) return null;
+
+    return { col, row, label: `${toColLabel(col)}${row + 1}` };
+  }
+
+  function toColLabel(col) { return String.fromCharCode(65 + col); }
+
+  return {
+    scoreTitle: "Top Hunters (Hits)",
+    scoreUnit: "hits",
+    idleHint: "TAP A CELL TO FIRE",
+    practiceHint: "Tap cells to fire",
+    joinedText: "joined the hunt",
+    hostTips: [
+      "Pin a message showing the commands.",
+      ...(teamMode ? [`Pick a team: ${joinHint()}${teamMode.autoBalance ? " (or just shoot to be placed)" : ""}.`] : []),
+      "Encourage quick repeats: “A4, B7, J2…”",
+      `Fleet: ${fleet.map((sh) => `${sh.name} (${sh.length})`).join(", ")}. Final blows and assists count for the whole match (scoreboard and results).`,
+      "Likes and gifts trigger bonus effects (shown on-screen).",
+    ],
+    giftHelp: giftHelp(),
+    hud: () => {
+      if (!teamMode) return [["Hits", totalHits], ["Afloat", `${shipsAfloat()}/${ships.length}`]];
+      if (teams.length === 2) return teams.map((t) => [teamLabel(t), teamScores.get(t.id) || 0]);
+      const lead = teamStandings()[0];
+      return [["Hits", totalHits], ["Leading", lead.score ? `${lead.emoji} ${lead.score}` : "—"]];
+    },
+    initUser,
+    initTotals,
+    reset,
+    onJoin,
+    onChat: tryFireAt,
+    onLike,
+    onGift,
+    onTap(x, y, host) {
+      const cell = pointToCell(x, y);
+      const u = registerUser(host);
+      if (!cell || !u) return;
+      if (teamMode && !teamOf(u)) joinTeam(u, smallestTeam(u));
+      tryFireAt(`${toColLabel(cell.col)}${cell.row + 1}`, host);
+    },
+    draw: drawGrid,
+    roundResult,
+    scoreText: (u) => (u.sinks || u.assists ? `${u.score} • 🚢${u.sinks} 🤝${u.assists}` : String(u.score)),
+    resultStats: (u) => (u.sinks || u.assists ? `🚢 ${u.sinks} sunk • 🤝 ${u.assists} assist${u.assists === 1 ? "" : "s"}` : ""),
+    teamStandings,
+  };
+}
@@ -0,0 +1,154 @@
+/* =========================================================
+   Archetype: poll
+   Live voting. Each round shows the next question; chat votes with the option number
+   (1-6), "!vote 2" or the option text. Viewers may change their vote when allowChange is
+   on. Gifts add giftWeight extra votes to the gifter's current choice. The leading option
+   when the timer ends wins the round.
+   Spec: poll { questions: [{ question, options }], allowChange, giftWeight }
+========================================================= */
+function createArchetype() {
+  const cfg = S.poll || {};
+  const questions = (Array.isArray(cfg.questions) ? cfg.questions : [])
+    .filter((q) => q && q.question && Array.isArray(q.options) && q.options.length >= 2);
+  if (!questions.length) questions.push({ question: "Which should we play next?", options: ["Trivia", "Race", "Tug of war"] });
+
+  const allowChange = cfg.allowChange !== false;
+  const giftWeight = clampInt(cfg.giftWeight ?? 5, 0, 1000);
+
+  let current = null;
+  let counts = [];
+  const votes = new Map(); // userId -> option index
+
+  function reset() {
+    current = questions[(round - 1) % questions.length]; // one question per round
+    counts = current.options.map(() => 0);
+    votes.clear();
+  }
+
+  function parseVote(text) {
+    const t = normalizeChat(text).replace(/^!?vote\s+/, "");
+    const byText = current.options.findIndex((o) => normalizeChat(o) === t);
+    if (byText >= 0) return byText;
+    return /^[1-9]$/.test(t) ? Number(t) - 1 : -1;
+  }
+
+  function vote(text, user) {
+    if (!current) return false;
+    const choice = parseVote(text);
+    if (choice < 0 || choice >= current.options.length) return false;
+
+    const u = registerUser(user);
+    if (!u) return false;
+
+    const prev = votes.get(u.userId);
+    if (prev === choice) return true;
+    if (prev != null) {
+      if (!allowChange) return true;
+      counts[prev] -= 1;
+    } else {
+      u.score += 1;
+    }
+    votes.set(u.userId, choice);
+    counts[choice] += 1;
+
+    const r = optionRects()[choice];
+    if (r) ripple(r.x + r.w * 0.9, r.y + r.h / 2);
+    sfx("scan");
+    renderScoreboard();
+    updateHud();
+    return true;
+  }
+
+  function onGift(user, giftName, repeatCount) {
+    const u = registerUser(user);
+    if (!u || !giftWeight) return;
+    const choice = votes.get(u.userId);
+    if (choice == null) {
+      addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `GIFT: ${giftName} → vote first to power it up!` });
+      return;
+    }
+    const extra = giftWeight * clampInt(repeatCount || 1, 1, 99);
+    counts[choice] += extra;
+    u.score += extra;
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `GIFT: ${giftName} → +${extra} votes for ${current.options[choice]}` });
+    sfx("hit");
+    renderScoreboard();
+    updateHud();
+  }
+
+  function totalVotes() { return counts.reduce((a, n) => a + n, 0); }
+
+  function leader() {
+    let best = -1;
+    counts.forEach((n, i) => { if (n > 0 && (best < 0 || n > counts[best])) best = i; });
+    return best;
+  }
+
+  function roundResult() {
+    const i = leader();
+    if (i < 0) return { user: { nickname: "No votes" }, text: "Nobody voted this round" };
+    const pct = Math.round((counts[i] / Math.max(1, totalVotes())) * 100);
+    return { user: { nickname: current.options[i] }, text: `wins with ${counts[i]} votes (${pct}%)` };
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function optionRects() {
+    if (!current) return [];
+    const b = boardRect();
+    const top = b.y + b.h * 0.28;
+    const h = Math.min(b.h * 0.13, (b.h * 0.7) / current.options.length);
+    return current.options.map((_, i) => ({ x: b.x, y: top + i * h * 1.15, w: b.w, h }));
+  }
+
+  function draw() {
+    if (!current) return;
+    const b = boardRect();
+    drawWrapped(current.question, b.x + b.w / 2, b.y + b.h * 0.06, Math.max(16, b.w * 0.055), b.w - 20, 3);
+
+    const total = Math.max(1, totalVotes());
+    const lead = leader();
+    optionRects().forEach((r, i) => {
+      ctx.fillStyle = "rgba(0,0,0,0.28)";
+      roundRect(ctx, r.x, r.y, r.w, r.h, 14);
+      ctx.fill();
+
+      const share = counts[i] / total;
+      ctx.fillStyle = i === lead ? "rgba(255,0,80,0.55)" : "rgba(0,242,234,0.30)";
+      roundRect(ctx, r.x, r.y, Math.max(r.h * 0.5, r.w * share), r.h, 14);
+      ctx.fill();
+
+      drawText(String(i + 1), r.x + r.h * 0.45, r.y + r.h / 2, r.h * 0.42);
+      drawText(current.options[i], r.x + r.h * 0.95, r.y + r.h / 2, Math.max(12, r.h * 0.34), { align: "left" });
+      drawText(`${Math.round(share * 100)}% • ${counts[i]}`, r.x + r.w - 14, r.y + r.h / 2, Math.max(11, r.h * 0.28), { align: "right", color: "rgba(255,255,255,0.85)" });
+    });
+  }
+
+  return {
+    scoreTitle: "Top Voters (Votes)",
+    scoreUnit: "votes",
+    idleHint: "TAP AN OPTION TO VOTE",
+    practiceHint: "Tap an option to vote",
+    joinedText: "is ready to vote",
+    hostTips: [
+      "Pin: vote with the option number (1, 2, 3…).",
+      allowChange ? "You can change your vote until the timer ends." : "One vote per viewer — choose wisely!",
+      giftWeight ? `Gifts add ${giftWeight} extra votes to your choice.` : "Gifts show a shout-out on screen.",
+    ],
+    hud: () => {
+      const i = leader();
+      return [["Votes", totalVotes()], ["Leader", i < 0 ? "—" : `${Math.round((counts[i] / Math.max(1, totalVotes())) * 100)}%`]];
+    },
+    reset,
+    onChat: vote,
+    onLike() {},
+    onGift,
+    onTap(x, y, host) {
+      const i = optionRects().findIndex((r) => y >= r.y && y <= r.y + r.h);
+      if (i >= 0) vote(String(i + 1), host);
+    },
+    draw,
+    roundResult,
+  };
+}
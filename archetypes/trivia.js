@@ -0,0 +1,225 @@
+/* =========================================================
+   Archetype: trivia
+   Multiple-choice questions cycle through the round. Chat answers with a letter (A-D),
+   a number (1-4) or the choice text; one answer per viewer per question. Correct answers
+   score pointsCorrect plus a speed bonus when the answer is revealed. Likes remove a wrong
+   choice (50/50 style), gifts double the gifter's points on the current question. A busy
+   LIVE (difficulty()) needs more likes per hint.
+   Spec: trivia { questions: [{ q, choices, answer }], secondsPerQuestion, pointsCorrect,
+   speedBonus, likesPerHint }
+========================================================= */
+function createArchetype() {
+  const cfg = S.trivia || {};
+  const questions = (Array.isArray(cfg.questions) ? cfg.questions : [])
+    .filter((q) => q && q.q && Array.isArray(q.choices) && q.choices.length >= 2 && q.choices[q.answer] != null);
+  if (!questions.length) {
+    questions.push({ q: "Which planet is known as the Red Planet?", choices: ["Venus", "Mars", "Jupiter", "Mercury"], answer: 1 });
+  }
+
+  const secondsPerQuestion = clampInt(cfg.secondsPerQuestion ?? 15, 5, 120);
+  const pointsCorrect = clampInt(cfg.pointsCorrect ?? 10, 1, 1000);
+  const speedBonus = clampInt(cfg.speedBonus ?? 5, 0, 1000);
+  const likesPerHint = clampInt(cfg.likesPerHint ?? 100, 0, 100000);
+  const REVEAL_SECONDS = 3;
+
+  let order = [];          // remaining question indexes, shuffled
+  let current = null;
+  let asked = 0;
+  let totalAnswers = 0;
+  let qTimeLeft = 0;
+  let revealing = 0;       // seconds left on the reveal screen
+  let hidden = new Set();  // wrong choices removed by likes
+  let likesBank = 0;
+  let likesNeeded = likesPerHint;
+  const answers = new Map(); // userId -> { choice, at (seconds left when answered) }
+  const doubled = new Set(); // userIds whose gift doubles this question
+  let tallies = [];
+
+  function reset() {
+    likesNeeded = Math.round(likesPerHint * difficulty());
+    order = [];
+    asked = 0;
+    totalAnswers = 0;
+    for (const u of users.values()) u.correct = 0;
+    nextQuestion();
+  }
+
+  function nextQuestion() {
+    if (!order.length) order = shuffle(questions.map((_, i) => i));
+    current = questions[order.shift()];
+    asked += 1;
+    answers.clear();
+    doubled.clear();
+    tallies = current.choices.map(() => 0);
+    hidden = new Set();
+    likesBank = 0;
+    qTimeLeft = secondsPerQuestion;
+    revealing = 0;
+  }
+
+  function parseAnswer(text) {
+    const t = normalizeChat(text).replace(/^!answer\s+/, "");
+    // exact choice text first, so a choice like "4" is not read as the 4th option
+    const byText = current.choices.findIndex((c) => normalizeChat(c) === t);
+    if (byText >= 0) return byText;
+    if (/^[a-z]$/.test(t)) return t.charCodeAt(0) - 97;
+    if (/^[1-9]$/.test(t)) return Number(t) - 1;
+    return -1;
+  }
+
+  function answer(text, user) {
+    if (!current || revealing) return false;
+    const choice = parseAnswer(text);
+    if (choice < 0 || choice >= current.choices.length || hidden.has(choice)) return false;
+
+    const u = registerUser(user);
+    if (!u) return false;
+    if (answers.has(u.userId)) return true;
+
+    answers.set(u.userId, { choice, at: qTimeLeft });
+    tallies[choice] += 1;
+    totalAnswers += 1;
+    sfx("scan");
+    updateHud();
+    return true;
+  }
+
+  // Points are only handed out here so the scoreboard cannot leak the answer early.
+  function reveal() {
+    revealing = REVEAL_SECONDS;
+    let first = null;
+    for (const [userId, a] of answers) {
+      if (a.choice !== current.answer) continue;
+      const u = users.get(userId);
+      if (!u) continue;
+      const pts = (pointsCorrect + Math.round(speedBonus * a.at / secondsPerQuestion)) * (doubled.has(userId) ? 2 : 1);
+      u.score += pts;
+      u.correct += 1;
+      if (!first || a.at > answers.get(first.userId).at) first = u;
+    }
+
+    const letter = String.fromCharCode(65 + current.answer);
+    if (first) {
+      sfx("hit");
+      flashWinner(first, `answered ${letter} first!`);
+    } else {
+      sfx("miss");
+      flashWinner({ nickname: "No one" }, `The answer was ${letter}: ${current.choices[current.answer]}`);
+    }
+    const box = choiceRects()[current.answer];
+    if (box) burst(box.x + box.w / 2, box.y + box.h / 2, true);
+    renderScoreboard();
+  }
+
+  function onTick() {
+    if (revealing) {
+      revealing -= 1;
+      if (!revealing) nextQuestion();
+      return;
+    }
+    qTimeLeft -= 1;
+    if (qTimeLeft <= 0) reveal();
+  }
+
+  function onLike(user, likeCount) {
+    if (!likesPerHint || !current || revealing) return;
+    likesBank += clampInt(likeCount || 1, 1, 9999);
+    if (likesBank < likesNeeded) return;
+    likesBank = 0;
+
+    const wrong = current.choices.map((_, i) => i).filter((i) => i !== current.answer && !hidden.has(i));
+    if (wrong.length <= 1) return;
+    hidden.add(wrong[randInt(0, wrong.length - 1)]);
+    sfx("scan");
+    addFlag({ pfpUrl: user?.profilePictureUrl, line1: user?.nickname || "Like storm!", line2: "Likes removed a wrong answer" });
+  }
+
+  function onGift(user, giftName) {
+    const u = registerUser(user);
+    if (!u || !current || revealing) return;
+    doubled.add(u.userId);
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `GIFT: ${giftName} → DOUBLE POINTS this question` });
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function layout() {
+    const b = boardRect();
+    const qH = b.h * 0.3;
+    return { b, qH, choicesY: b.y + qH + b.h * 0.04, choiceH: Math.min(b.h * 0.14, (b.h * 0.62) / 4) };
+  }
+
+  function choiceRects() {
+    if (!current) return [];
+    const { b, choicesY, choiceH } = layout();
+    return current.choices.map((_, i) => ({ x: b.x, y: choicesY + i * (choiceH + choiceH * 0.18), w: b.w, h: choiceH }));
+  }
+
+  function draw() {
+    if (!current) return;
+    const { b, qH } = layout();
+
+    ctx.fillStyle = "rgba(0,0,0,0.25)";
+    roundRect(ctx, b.x, b.y, b.w, qH, 18);
+    ctx.fill();
+
+    drawText(`QUESTION ${asked}`, b.x + b.w / 2, b.y + qH * 0.16, Math.max(12, b.w * 0.03), { color: "rgba(255,255,255,0.6)" });
+    drawWrapped(current.q, b.x + b.w / 2, b.y + qH * 0.38, Math.max(16, b.w * 0.052), b.w - 40, 3);
+
+    // countdown bar
+    const frac = revealing ? 0 : clamp01(qTimeLeft / secondsPerQuestion);
+    ctx.fillStyle = "rgba(255,255,255,0.10)";
+    ctx.fillRect(b.x + 18, b.y + qH - 16, b.w - 36, 6);
+    ctx.fillStyle = frac > 0.3 ? "rgba(0,242,234,0.85)" : "rgba(255,0,80,0.85)";
+    ctx.fillRect(b.x + 18, b.y + qH - 16, (b.w - 36) * frac, 6);
+
+    const total = Math.max(1, tallies.reduce((a, n) => a + n, 0));
+    choiceRects().forEach((r, i) => {
+      const isAnswer = revealing && i === current.answer;
+      const gone = hidden.has(i) || (revealing && !isAnswer);
+
+      ctx.fillStyle = isAnswer ? "rgba(46,229,157,0.35)" : "rgba(0,0,0,0.28)";
+      roundRect(ctx, r.x, r.y, r.w, r.h, 14);
+      ctx.fill();
+
+      // answer share (only once revealed, so chat can't copy the crowd)
+      if (revealing) {
+        ctx.fillStyle = "rgba(255,255,255,0.10)";
+        roundRect(ctx, r.x, r.y, r.w * (tallies[i] / total), r.h, 14);
+        ctx.fill();
+      }
+
+      const alpha = gone ? 0.3 : 0.95;
+      drawText(String.fromCharCode(65 + i), r.x + r.h * 0.5, r.y + r.h / 2, r.h * 0.45, { color: `rgba(0,242,234,${alpha})` });
+      drawText(current.choices[i], r.x + r.h, r.y + r.h / 2, Math.max(12, r.h * 0.34), { color: `rgba(255,255,255,${alpha})`, align: "left" });
+      if (revealing) drawText(String(tallies[i]), r.x + r.w - 16, r.y + r.h / 2, r.h * 0.32, { align: "right", color: "rgba(255,255,255,0.8)" });
+    });
+  }
+
+  return {
+    scoreTitle: "Top Brains (Points)",
+    scoreUnit: "points",
+    idleHint: "TAP AN ANSWER TO PLAY",
+    practiceHint: "Tap an answer",
+    joinedText: "is ready to answer",
+    hostTips: [
+      "Pin a message: answer with A, B, C or D.",
+      "Faster correct answers score more.",
+      `Likes remove a wrong answer${likesPerHint ? ` (every ${likesPerHint})` : ""}; gifts double the gifter's points.`,
+    ],
+    hud: () => [["Question", asked], ["Answers", totalAnswers]],
+    initUser(u) { u.correct = 0; },
+    reset,
+    onChat: answer,
+    onLike,
+    onGift,
+    onTick,
+    onTap(x, y, host) {
+      const i = choiceRects().findIndex((r) => x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h);
+      if (i >= 0) answer(String.fromCharCode(65 + i), host);
+    },
+    draw,
+    scoreText: (u) => `${u.score} (${u.correct || 0}✓)`,
+  };
+}
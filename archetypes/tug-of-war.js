@@ -0,0 +1,186 @@
+/* =========================================================
+   Archetype: tug-of-war
+   Two teams pull a rope. Viewers pick a side with "!join red" (or just the team name);
+   anyone who chats without a team is placed on the smaller one. Every chat, like and gift
+   from a team member pulls the marker toward their side; reaching winDistance (or leading
+   when the timer ends) wins the round. Teams are kept between rounds. A busy LIVE
+   (difficulty()) lengthens the rope.
+   Spec: tugOfWar { teams: [{ id, name, color, emoji } x2], pullPerChat, pullPerLike,
+   pullPerGift, winDistance, chatCooldownMs }
+========================================================= */
+function createArchetype() {
+  const cfg = S.tugOfWar || {};
+  const fallbackTeams = [
+    { id: "red", name: "Red", color: "#ff3b5c", emoji: "🔴" },
+    { id: "blue", name: "Blue", color: "#2f80ff", emoji: "🔵" },
+  ];
+  const teams = [0, 1].map((i) => ({ ...fallbackTeams[i], ...((Array.isArray(cfg.teams) && cfg.teams[i]) || {}) }));
+
+  const pullPerChat = Number(cfg.pullPerChat ?? 1) || 0;
+  const pullPerLike = Number(cfg.pullPerLike ?? 0.1) || 0;
+  const pullPerGift = Number(cfg.pullPerGift ?? 5) || 0;
+  const winDistance = Math.max(5, Number(cfg.winDistance ?? 100) || 100);
+  const chatCooldownMs = clampInt(cfg.chatCooldownMs ?? 700, 0, 10000);
+
+  const teamOf = new Map(); // userId -> 0 | 1 (kept across rounds)
+  let pos = 0;              // < 0 toward teams[0], > 0 toward teams[1]
+  let goal = winDistance;
+  let pulls = [0, 0];
+
+  function reset() {
+    pos = 0;
+    goal = Math.round(winDistance * difficulty());
+    pulls = [0, 0];
+    for (const u of users.values()) u.lastPullAt = 0;
+  }
+
+  function memberCount(t) {
+    let n = 0;
+    for (const v of teamOf.values()) if (v === t) n++;
+    return n;
+  }
+
+  function teamFromText(text) {
+    const t = normalizeChat(text);
+    if (!t) return -1;
+    return teams.findIndex((team) => normalizeChat(team.id) === t || normalizeChat(team.name) === t);
+  }
+
+  function joinTeam(u, t) {
+    if (t < 0) t = memberCount(0) <= memberCount(1) ? 0 : 1;
+    teamOf.set(u.userId, t);
+    updateHud();
+    return `joined ${teams[t].emoji} ${teams[t].name}`;
+  }
+
+  function pull(u, amount) {
+    if (!u || !amount || !teamOf.has(u.userId)) return;
+    const t = teamOf.get(u.userId);
+    pos = Math.max(-goal, Math.min(goal, pos + (t === 0 ? -amount : amount)));
+    pulls[t] += amount;
+    u.score = Math.round((u.score + amount) * 10) / 10;
+    renderScoreboard();
+    if (Math.abs(pos) >= goal) finishRound();
+  }
+
+  function onChat(text, user) {
+    const u = registerUser(user);
+    if (!u) return false;
+
+    const named = teamFromText(text);
+    if (named >= 0 && teamOf.get(u.userId) !== named) {
+      addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: joinTeam(u, named) });
+      return true;
+    }
+    if (!teamOf.has(u.userId)) addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: joinTeam(u, -1) });
+
+    const now = Date.now();
+    if (u.lastPullAt && now - u.lastPullAt < chatCooldownMs) return false;
+    u.lastPullAt = now;
+    pull(u, pullPerChat);
+    return false; // still show the chat flag
+  }
+
+  function onLike(user, likeCount) {
+    const u = registerUser(user);
+    if (u && teamOf.has(u.userId)) pull(u, pullPerLike * clampInt(likeCount || 1, 1, 50));
+  }
+
+  function onGift(user, giftName, repeatCount) {
+    const u = registerUser(user);
+    if (!u) return;
+    if (!teamOf.has(u.userId)) joinTeam(u, -1);
+    const t = teams[teamOf.get(u.userId)];
+    const amount = pullPerGift * clampInt(repeatCount || 1, 1, 99);
+    addFlag({ pfpUrl: u.profilePictureUrl, line1: u.nickname, line2: `GIFT: ${giftName} → ${t.emoji} MEGA PULL +${amount}` });
+    sfx("hit");
+    pull(u, amount);
+  }
+
+  function roundResult() {
+    if (Math.abs(pos) < 0.01) return { user: { nickname: "Dead even!" }, text: "Nobody moved the rope" };
+    const t = pos < 0 ? 0 : 1;
+    return { user: { nickname: `${teams[t].emoji} ${teams[t].name}` }, text: `wins the tug of war! (${Math.round(pulls[t])} pull power)` };
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function ropeGeometry() {
+    const b = boardRect();
+    return { b, y: b.y + b.h * 0.5, left: b.x + 10, right: b.x + b.w - 10 };
+  }
+
+  function draw() {
+    const { b, y, left, right } = ropeGeometry();
+    const mid = (left + right) / 2;
+    const half = (right - left) / 2;
+
+    // team halves
+    teams.forEach((team, i) => {
+      ctx.fillStyle = team.color + "22";
+      roundRect(ctx, i === 0 ? b.x : mid, b.y, b.w / 2, b.h, 18);
+      ctx.fill();
+      const cx = i === 0 ? b.x + b.w / 4 : b.x + (b.w * 3) / 4;
+      drawEmoji(team.emoji, cx, b.y + b.h * 0.16, b.w * 0.1);
+      drawText(team.name.toUpperCase(), cx, b.y + b.h * 0.27, Math.max(14, b.w * 0.045), { color: team.color });
+      drawText(`${memberCount(i)} pulling`, cx, b.y + b.h * 0.33, Math.max(11, b.w * 0.028), { weight: 700, color: "rgba(255,255,255,0.7)" });
+    });
+
+    // win lines + rope
+    ctx.strokeStyle = "rgba(255,255,255,0.25)";
+    ctx.lineWidth = 2;
+    for (const x of [left, right, mid]) {
+      ctx.beginPath();
+      ctx.moveTo(x, y - b.h * 0.12);
+      ctx.lineTo(x, y + b.h * 0.12);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = "rgba(222,184,135,0.95)";
+    ctx.lineWidth = Math.max(6, b.h * 0.02);
+    ctx.beginPath();
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+    ctx.stroke();
+
+    // knot
+    const kx = mid + (pos / goal) * half;
+    const leader = pos < 0 ? teams[0] : pos > 0 ? teams[1] : null;
+    ctx.fillStyle = leader ? leader.color : "#ffffff";
+    ctx.beginPath();
+    ctx.arc(kx, y, Math.max(12, b.h * 0.04), 0, Math.PI * 2);
+    ctx.fill();
+
+    const pct = Math.round((Math.abs(pos) / goal) * 100);
+    drawText(leader ? `${leader.name} +${pct}%` : "EVEN", mid, y + b.h * 0.2, Math.max(14, b.w * 0.04));
+  }
+
+  return {
+    scoreTitle: "Top Pullers (Pull power)",
+    scoreUnit: "pull power",
+    idleHint: "TAP A SIDE TO PULL",
+    practiceHint: "Tap a side to pull",
+    joinedText: "joined a team",
+    hostTips: [
+      `Pin: type "${teams[0].id}" or "${teams[1].id}" to pick a side.`,
+      "Every chat pulls for your team — keep chatting!",
+      "Likes add a little pull, gifts add a MEGA pull.",
+    ],
+    hud: () => [[teams[0].name, memberCount(0)], [teams[1].name, memberCount(1)]],
+    initUser(u) { u.lastPullAt = 0; },
+    reset,
+    onJoin(u, arg) { return joinTeam(u, teamFromText(arg)); },
+    onChat,
+    onLike,
+    onGift,
+    onTap(x, y, host) {
+      const { b } = ropeGeometry();
+      const u = registerUser(host);
+      const side = x < b.x + b.w / 2 ? 0 : 1;
+      if (teamOf.get(u.userId) !== side) joinTeam(u, side);
+      pull(u, pullPerChat);
+    },
+    draw,
+    roundResult,
+  };
+}
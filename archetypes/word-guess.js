@@ -0,0 +1,173 @@
+/* =========================================================
+   Archetype: word-guess
+   A hidden word is shown as tiles; a letter is revealed every revealEverySeconds and
+   likes (likesPerReveal) or gifts reveal more. Chat guesses the whole word (with or
+   without "!guess"); the first correct guess scores pointsBase + pointsPerHidden for each
+   tile still hidden, then the next word starts. Rounds run on the timer. A busy LIVE
+   (difficulty()) slows the automatic reveals.
+   Spec: wordGuess { words: [{ word, hint }], revealEverySeconds, likesPerReveal,
+   pointsBase, pointsPerHidden }
+========================================================= */
+function createArchetype() {
+  const cfg = S.wordGuess || {};
+  const words = (Array.isArray(cfg.words) ? cfg.words : [])
+    .map((w) => (typeof w === "string" ? { word: w, hint: "" } : w))
+    .filter((w) => w && /[A-Za-z]/.test(String(w.word || "")))
+    .map((w) => ({ word: String(w.word).toUpperCase(), hint: String(w.hint || "") }));
+  if (!words.length) words.push({ word: "LIVESTREAM", hint: "You're watching one" });
+
+  const revealEverySeconds = clampInt(cfg.revealEverySeconds ?? 8, 2, 120);
+  const likesPerReveal = clampInt(cfg.likesPerReveal ?? 100, 0, 100000);
+  const pointsBase = clampInt(cfg.pointsBase ?? 5, 0, 1000);
+  const pointsPerHidden = clampInt(cfg.pointsPerHidden ?? 2, 0, 1000);
+  const NEXT_WORD_SECONDS = 3;
+
+  let order = [];
+  let current = null;
+  let revealed = new Set(); // tile indexes
+  let sinceReveal = 0;
+  let revealEvery = revealEverySeconds;
+  let pause = 0;            // seconds until the next word after a solve / give-up
+  let likesBank = 0;
+  let solved = 0;
+  let guesses = 0;
+
+  function reset() {
+    revealEvery = Math.round(revealEverySeconds * difficulty());
+    order = [];
+    solved = 0;
+    guesses = 0;
+    nextWord();
+  }
+
+  function nextWord() {
+    if (!order.length) order = shuffle(words.map((_, i) => i));
+    current = words[order.shift()];
+    revealed = new Set();
+    // spaces / punctuation are never hidden
+    [...current.word].forEach((ch, i) => { if (!/[A-Z0-9]/.test(ch)) revealed.add(i); });
+    sinceReveal = 0;
+    pause = 0;
+    likesBank = 0;
+  }
+
+  function hiddenCount() { return current.word.length - revealed.size; }
+
+  function revealLetter(u, why) {
+    if (!current || pause) return;
+    const hidden = [...current.word].map((_, i) => i).filter((i) => !revealed.has(i));
+    if (hidden.length <= 1) return giveUp();
+    revealed.add(hidden[randInt(0, hidden.length - 1)]);
+    sinceReveal = 0;
+    sfx("scan");
+    if (why) addFlag({ pfpUrl: u?.profilePictureUrl, line1: u?.nickname || "Like storm!", line2: why });
+  }
+
+  function giveUp() {
+    [...current.word].forEach((_, i) => revealed.add(i));
+    pause = NEXT_WORD_SECONDS;
+    addFlag({ pfpUrl: "", line1: "Nobody got it", line2: `The word was ${current.word}` });
+  }
+
+  function squash(t) { return String(t || "").toUpperCase().replace(/[^A-Z0-9]/g, ""); }
+
+  function guess(text, user) {
+    if (!current || pause) return false;
+    const raw = normalizeChat(text);
+    const explicit = raw.startsWith("!guess");
+    const attempt = squash(explicit ? raw.slice(6) : raw);
+    if (!attempt) return false;
+    if (explicit) guesses += 1;
+    if (attempt !== squash(current.word)) return explicit;
+    if (!explicit) guesses += 1;
+
+    const u = registerUser(user);
+    if (!u) return false;
+    const pts = pointsBase + pointsPerHidden * hiddenCount();
+    u.score += pts;
+    u.solved = (u.solved || 0) + 1;
+    solved += 1;
+
+    [...current.word].forEach((_, i) => revealed.add(i));
+    pause = NEXT_WORD_SECONDS;
+
+    const b = boardRect();
+    burst(b.x + b.w / 2, b.y + b.h * 0.45, true);
+    sfx("hit");
+    flashWinner(u, `solved ${current.word} (+${pts})`);
+    renderScoreboard();
+    updateHud();
+    return true;
+  }
+
+  function onTick() {
+    if (pause) {
+      pause -= 1;
+      if (!pause) nextWord();
+      return;
+    }
+    sinceReveal += 1;
+    if (sinceReveal >= revealEvery) revealLetter();
+  }
+
+  function onLike(user, likeCount) {
+    if (!likesPerReveal) return;
+    likesBank += clampInt(likeCount || 1, 1, 9999);
+    if (likesBank < likesPerReveal) return;
+    likesBank = 0;
+    revealLetter(user, "Likes revealed a letter");
+  }
+
+  function onGift(user, giftName) {
+    const u = registerUser(user);
+    if (u) revealLetter(u, `GIFT: ${giftName} → reveals a letter`);
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function draw() {
+    if (!current) return;
+    const b = boardRect();
+    const chars = [...current.word];
+    const tile = Math.min(b.w / chars.length - 6, b.h * 0.16);
+    const rowW = chars.length * (tile + 6) - 6;
+    const x0 = b.x + (b.w - rowW) / 2;
+    const y = b.y + b.h * 0.38;
+
+    if (current.hint) drawWrapped(`Hint: ${current.hint}`, b.x + b.w / 2, b.y + b.h * 0.12, Math.max(14, b.w * 0.042), b.w - 20, 2, { weight: 700 });
+
+    chars.forEach((ch, i) => {
+      const x = x0 + i * (tile + 6);
+      if (ch === " ") return;
+      ctx.fillStyle = revealed.has(i) ? "rgba(0,242,234,0.25)" : "rgba(0,0,0,0.35)";
+      roundRect(ctx, x, y, tile, tile, 10);
+      ctx.fill();
+      if (revealed.has(i)) drawText(ch, x + tile / 2, y + tile / 2, tile * 0.6);
+    });
+
+    const msg = pause ? `The word was ${current.word}` : `${hiddenCount()} hidden • next letter in ${Math.max(0, revealEvery - sinceReveal)}s`;
+    drawText(msg, b.x + b.w / 2, y + tile + b.h * 0.08, Math.max(12, b.w * 0.032), { weight: 700, color: "rgba(255,255,255,0.75)" });
+  }
+
+  return {
+    scoreTitle: "Top Guessers (Points)",
+    scoreUnit: "points",
+    idleHint: "TAP TO REVEAL A LETTER",
+    practiceHint: "Tap to reveal a letter",
+    joinedText: "is ready to guess",
+    hostTips: [
+      "Pin: type your guess (or !guess WORD).",
+      "Guess early — fewer letters shown means more points.",
+      "Likes and gifts reveal letters.",
+    ],
+    hud: () => [["Solved", solved], ["Guesses", guesses]],
+    reset,
+    onChat: guess,
+    onLike,
+    onGift,
+    onTick,
+    onTap(x, y, host) { revealLetter(host, "revealed a letter"); },
+    draw,
+  };
+}
@@ -0,0 +1,114 @@
+// Pulls the JSON object out of a model response (see extractJson). Kept out of server.js,
+// which starts listening on import, so test/extract-json.test.js can import it directly.
+
+// Why a model response could not be used as JSON:
+//   "no_json"   the model answered in prose (no object at all)
+//   "truncated" the object never closes (token limit / cut stream) and could not be repaired
+//   "invalid"   an object is there but is not valid JSON
+export const JSON_ERROR_MESSAGES = {
+  no_json: "Model returned prose instead of JSON",
+  truncated: "Model output was truncated before the JSON ended",
+  invalid: "Model did not return valid JSON",
+};
+
+export function jsonExcerpt(text) {
+  const s = String(text || "");
+  return s.length <= 600 ? s : `${s.slice(0, 400)} … ${s.slice(-200)}`;
+}
+
+// Scans one top-level object starting at `start`, honoring strings and escapes.
+// Returns { end } when it closes, or { truncated: true, stack, inString, cuts } when the text runs out.
+// `cuts` are positions right before a top-level-safe comma, with the open-bracket stack at that point.
+function scanJsonObject(s, start) {
+  const stack = [];
+  const cuts = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < s.length; i++) {
+    const ch = s[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{" || ch === "[") stack.push(ch);
+    else if (ch === "}" || ch === "]") {
+      stack.pop();
+      if (!stack.length) return { end: i + 1 };
+    } else if (ch === ",") cuts.push({ at: i, stack: stack.slice() });
+  }
+  return { truncated: true, stack, inString, escaped, cuts };
+}
+
+function closersFor(stack) {
+  return stack.slice().reverse().map((c) => (c === "{" ? "}" : "]")).join("");
+}
+
+// Best-effort completion of a cut-off object: close the open string, then the open brackets.
+// If that does not parse, back off to earlier commas (dropping the half-written member).
+function repairTruncatedJson(s, start, scan) {
+  let head = s.slice(start);
+  if (scan.inString) head = (scan.escaped ? head.slice(0, -1) : head) + '"';
+  const attempts = [head.replace(/[\s,:]+$/, "") + closersFor(scan.stack)];
+  for (const cut of scan.cuts.slice(-20).reverse()) attempts.push(s.slice(start, cut.at) + closersFor(cut.stack));
+
+  for (const a of attempts) {
+    try {
+      const value = JSON.parse(a);
+      if (value && typeof value === "object" && !Array.isArray(value)) return value;
+    } catch {}
+  }
+  return null;
+}
+
+// Finds the first JSON object in a model response. Handles ``` fences, prose around the object,
+// several objects in a row, and braces inside strings (e.g. generated code). Truncated objects are
+// repaired when possible and flagged with `repaired: true` so callers can decide whether to trust them.
+export function extractJson(text) {
+  const raw = String(text || "").replace(/^\uFEFF/, "").trim();
+  const fail = (errorType) => ({ ok: false, errorType, error: JSON_ERROR_MESSAGES[errorType], excerpt: jsonExcerpt(raw) });
+  if (!raw) return fail("no_json");
+
+  try {
+    const v = JSON.parse(raw);
+    if (v && typeof v === "object" && !Array.isArray(v)) return { ok: true, value: v, repaired: false };
+  } catch {}
+
+  // Fenced blocks first (```json ... ```), then the whole text; an unclosed final fence counts too.
+  const regions = [];
+  for (const m of raw.matchAll(/```[\w-]*[ \t]*\r?\n([\s\S]*?)(?:```|$)/g)) regions.push(m[1]);
+  regions.push(raw);
+
+  let sawObject = false;
+  let truncated = null;
+  for (const region of regions) {
+    let from = 0;
+    for (let attempts = 0; attempts < 50; attempts++) {
+      const start = region.indexOf("{", from);
+      if (start < 0) break;
+      sawObject = true;
+
+      const scan = scanJsonObject(region, start);
+      if (scan.truncated) {
+        truncated = truncated || { region, start, scan };
+        break;
+      }
+      try {
+        const v = JSON.parse(region.slice(start, scan.end));
+        if (v && typeof v === "object") return { ok: true, value: v, repaired: false };
+      } catch {}
+      // Resume after the whole candidate: objects nested in a malformed one are never the answer.
+      from = scan.end;
+    }
+  }
+
+  if (truncated) {
+    const value = repairTruncatedJson(truncated.region, truncated.start, truncated.scan);
+    if (value) return { ok: true, value, repaired: true };
+    return fail("truncated");
+  }
+  return fail(sawObject ? "invalid" : "no_json");
+}
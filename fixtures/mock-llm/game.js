@@ -0,0 +1,118 @@
+(() => {
+  "use strict";
+
+  const $ = (id) => document.getElementById(id);
+  const settingsScreen = $("settingsScreen");
+  const gameScreen = $("gameScreen");
+  const liveIdInput = $("liveIdInput");
+  const offlineToggle = $("offlineToggle");
+  const connectBtn = $("connectBtn");
+  const startBtn = $("startBtn");
+  const statusText = $("statusText");
+  const hudTime = $("hudTime");
+  const hudViewers = $("hudViewers");
+  const leaderboard = $("leaderboard");
+  const feed = $("feed");
+
+  let client = null;
+  let connected = false;
+  let timeLeft = 60;
+  let timer = null;
+  const scores = new Map();
+
+  function updateStartGate() {
+    startBtn.disabled = !(connected || offlineToggle.checked);
+  }
+
+  function addPoints(user, pts, why) {
+    const name = user.nickname || "Viewer";
+    scores.set(name, (scores.get(name) || 0) + pts);
+    const item = document.createElement("div");
+    item.className = "feedItem";
+    item.textContent = `${name} +${pts} ${why}`;
+    feed.prepend(item);
+    while (feed.children.length > 6) feed.lastChild.remove();
+    renderLeaderboard();
+  }
+
+  function renderLeaderboard() {
+    leaderboard.innerHTML = "";
+    for (const [name, pts] of [...scores].sort((a, b) => b[1] - a[1]).slice(0, 5)) {
+      const li = document.createElement("li");
+      li.textContent = `${name} — ${pts}`;
+      leaderboard.appendChild(li);
+    }
+  }
+
+  function userFrom(data) {
+    const u = data?.user || {};
+    return { userId: String(u.userid || u.userId || u.displayid || ""), nickname: String(u.nickname || u.displayid || "Viewer") };
+  }
+
+  function onChat(data) {
+    try { addPoints(userFrom(data), 1, "chat"); } catch (e) { console.error(e); }
+  }
+  function onGift(data) {
+    try { addPoints(userFrom(data), Math.max(1, Number(data?.gift?.diamondcount || 1)) * 5, "gift"); } catch (e) { console.error(e); }
+  }
+  function onLike(data) {
+    try { addPoints(userFrom(data), 1, "like"); } catch (e) { console.error(e); }
+  }
+  function onJoin(data) {
+    try { userFrom(data); } catch (e) { console.error(e); }
+  }
+  function onSocial(data) {
+    try { addPoints(userFrom(data), 3, "follow/share"); } catch (e) { console.error(e); }
+  }
+  function onRoomUserSeq(data) {
+    try { hudViewers.textContent = String(data?.viewercount || data?.total || 0); } catch (e) { console.error(e); }
+  }
+  function onControl(data) {
+    try { if (data?.action === 3) endGame(); } catch (e) { console.error(e); }
+  }
+
+  function connect() {
+    const liveId = liveIdInput.value.trim();
+    if (!liveId) { statusText.textContent = "Enter a LIVE username first."; return; }
+    try { if (client && client.socket) client.socket.close(); } catch {}
+    client = new TikTokClient(liveId);
+    if (typeof CHATTOK_CREATOR_TOKEN !== "undefined" && CHATTOK_CREATOR_TOKEN) client.setAccessToken(CHATTOK_CREATOR_TOKEN);
+    client.on("connected", () => { connected = true; statusText.textContent = "Connected"; updateStartGate(); });
+    client.on("disconnected", () => { connected = false; statusText.textContent = "Disconnected"; updateStartGate(); });
+    client.on("chat", onChat);
+    client.on("gift", onGift);
+    client.on("like", onLike);
+    client.on("join", onJoin);
+    client.on("social", onSocial);
+    client.on("roomUserSeq", onRoomUserSeq);
+    client.on("control", onControl);
+    client.connect();
+    statusText.textContent = "Connecting…";
+  }
+
+  function startGame() {
+    settingsScreen.classList.add("hidden");
+    gameScreen.classList.remove("hidden");
+    scores.clear();
+    renderLeaderboard();
+    timeLeft = 60;
+    hudTime.textContent = String(timeLeft);
+    clearInterval(timer);
+    timer = setInterval(() => {
+      timeLeft -= 1;
+      hudTime.textContent = String(Math.max(0, timeLeft));
+      if (!connected && offlineToggle.checked) onChat({ user: { nickname: "Bot" + Math.floor(Math.random() * 5) } });
+      if (timeLeft <= 0) endGame();
+    }, 1000);
+  }
+
+  function endGame() {
+    clearInterval(timer);
+    statusText.textContent = "Round over";
+  }
+
+  connectBtn.addEventListener("click", connect);
+  startBtn.addEventListener("click", startGame);
+  offlineToggle.addEventListener("change", updateStartGate);
+  updateStartGate();
+})();
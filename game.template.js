@@ -8,6 +8,8 @@
    ✅ Practice can start from idle tap; LIVE connect remains soft-fail if client/proto missing
    ✅ Adds click-to-fire support in practice AND allows typing coordinates in chat without needing "!fire"
    ✅ Keeps REQUIRED TikTok connection example section untouched
+   ✅ Game rules come from archetypes/<archetype>.js (injected at the archetype marker); this
+      file keeps the shared connection, settings, HUD, flags, scoreboard and round engine
 ========================================================= */
 
 /* Injected spec (do not edit by hand in generated games) */
@@ -39,8 +41,12 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
 
   const hudRound = $("hudRound");
   const hudTime = $("hudTime");
-  const hudShots = $("hudShots");
-  const hudHits = $("hudHits");
+  const hudShots = $("hudShots"); // first archetype stat slot (label set from A.hud())
+  const hudHits = $("hudHits");   // second archetype stat slot
+
+  const hudViewers = $("hudViewers"); // optional in older index.html files
+  const resultsOverlay = $("resultsOverlay");
+  const hostControlsEl = $("uiHostControls"); // optional in older index.html files
 
   const scoreboardEl = $("scoreboard");
   const flagsEl = $("flags");
@@ -59,6 +65,13 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   const S = normalizeSpec(SPEC);
   applySpecToUI(S);
 
+  // -----------------------------
+  // Settings (rendered from SPEC.settings into #uiSettings when present)
+  // -----------------------------
+  const settings = {};
+  for (const it of S.settings) settings[it.id] = it.default;
+  renderSettings();
+
   // -----------------------------
   // Canvas crisp sizing (9:16)
   // -----------------------------
@@ -88,24 +101,33 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
 
   let client = null;        // TikTokClient instance
   let pendingStart = false; // wait for "connected" before starting live game
+  let liveRunning = false;  // a LIVE game has started (drops from here on auto-reconnect)
+  let liveId = "";          // room used for the current LIVE game and its reconnects
 
   let round = 1;
-  let timeLeft = clampInt(S.defaultSettings.roundSeconds, 5, 600);
+  let timeLeft = roundSeconds();
   let timerHandle = null;
+  let phase = "idle";       // idle | lobby | countdown | round | intermission | results (see startMatch)
+  let phaseLeft = 0;        // seconds left in the lobby / countdown / intermission
 
-  const gridSize = clampInt(S.defaultSettings.gridSize, 6, 14);
-  const winGoal = clampInt(S.defaultSettings.winGoal, 5, 999);
-
-  const board = new Array(gridSize * gridSize).fill(0); // 0 empty, 1 miss, 2 hit, 3 scan
-  const targets = new Set();
+  const users = new Map(); // userId -> { userId, nickname, profilePictureUrl, score, total, roundWins, bestRound, ...archetype stats }
 
-  const users = new Map(); // userId -> stats
-  let totalShots = 0;
-  let totalHits = 0;
+  let session = 0;          // bumped on every match start/end and round start/end; roundTimeout() checks it
+  const pauses = new Set(); // "stream" | "offline" | "host": the round clock is frozen while any is set
+  let viewerCount = 0;      // latest roomUserSeq total
+  let level = 0;            // viewer difficulty level, fixed when a round starts
+  const rewarded = new Set(); // "follow:<userId>" / "share:<userId>" already rewarded this LIVE
+  const board = loadBoard();  // persistent leaderboard (see "Leaderboard" below)
+  let boardPeriod = "daily";  // tab shown in the Leaderboard card
 
   const particles = [];
   const ripples = [];
-  let likesBank = 0;
+
+  const PRACTICE_USER = { userId: "practice", nickname: "Host", profilePictureUrl: "" };
+
+  // Game rules for S.archetype (see "Archetype rules" below).
+  const A = createArchetype();
+  applyArchetypeToUI();
 
   // -----------------------------
   // UI helpers
@@ -115,6 +137,89 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     statusTextInGame.textContent = text;
   }
 
+  function renderSettings() {
+    const host = $("uiSettings");
+    if (!host) return;
+    host.innerHTML = "";
+
+    for (const it of S.settings) {
+      const row = document.createElement("label");
+      row.className = "field settingRow" + (it.type === "checkbox" ? " check" : "");
+      const inputId = "setting_" + it.id;
+
+      if (it.type === "checkbox") {
+        row.innerHTML = `
+          <input type="checkbox" id="${escapeAttr(inputId)}" ${it.default ? "checked" : ""} />
+          <span class="fieldLabel">${escapeHtml(it.label)}</span>
+        `;
+      } else if (it.type === "range") {
+        row.innerHTML = `
+          <span class="fieldLabel">${escapeHtml(it.label)} <strong class="settingVal">${escapeHtml(it.default)}</strong></span>
+          <input class="range" type="range" id="${escapeAttr(inputId)}"
+            min="${it.min}" max="${it.max}" step="${it.step}" value="${escapeAttr(it.default)}" />
+        `;
+      } else {
+        row.innerHTML = `
+          <span class="fieldLabel">${escapeHtml(it.label)}</span>
+          <input class="input" type="${it.type === "number" ? "number" : "text"}" id="${escapeAttr(inputId)}" value="${escapeAttr(it.default)}" />
+        `;
+      }
+
+      const input = row.querySelector("input");
+      const valEl = row.querySelector(".settingVal");
+      input.addEventListener("input", () => {
+        if (it.type === "checkbox") settings[it.id] = !!input.checked;
+        else if (it.type === "range" || it.type === "number") settings[it.id] = Number(input.value);
+        else settings[it.id] = String(input.value || "");
+        if (valEl) valEl.textContent = String(settings[it.id]);
+        onSettingChanged(it.id);
+      });
+
+      host.appendChild(row);
+    }
+
+    onSettingChanged("offlineToggle");
+  }
+
+  function onSettingChanged(id) {
+    if (id === "offlineToggle") {
+      const label = settings.offlineToggle ? "Start (Offline)" : "Start";
+      if (startBtn) startBtn.textContent = label;
+      if (overlayStartBtn) overlayStartBtn.textContent = label;
+    }
+  }
+
+  function settingNum(id, fallback) {
+    const v = Number(settings[id]);
+    return Number.isFinite(v) ? v : fallback;
+  }
+
+  function roundSeconds() { return clampInt(settingNum("roundSeconds", S.defaultSettings.roundSeconds), 10, 600); }
+
+  // Tiny WebAudio blips; gated by the "sfxToggle" + "volume" settings.
+  let audioCtx = null;
+  function sfx(kind) {
+    if (!settings.sfxToggle) return;
+    try {
+      audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+      const vol = clamp01(settingNum("volume", 60) / 100) * 0.25;
+      if (vol <= 0) return;
+
+      const tones = { hit: [660, 0.16, "square"], miss: [180, 0.12, "sine"], scan: [880, 0.10, "triangle"], round: [440, 0.35, "sawtooth"] };
+      const [freq, dur, type] = tones[kind] || tones.miss;
+
+      const osc = audioCtx.createOscillator();
+      const gain = audioCtx.createGain();
+      osc.type = type;
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(vol, audioCtx.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.0001, audioCtx.currentTime + dur);
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start();
+      osc.stop(audioCtx.currentTime + dur);
+    } catch {}
+  }
+
   function showOverlay(show) {
     setupOverlay.style.display = show ? "flex" : "none";
   }
@@ -137,6 +242,57 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     bootErrorEl.style.display = "none";
   }
 
+  // Final standings card (#resultsOverlay): match totals, MVP and round wins. Play again
+  // starts a new match (same LIVE connection, or practice); Close returns to setup.
+  function showResults(title, sub, canReplay) {
+    if (!resultsOverlay) return;
+    const list = $("uiResultsList");
+    const mvpEl = $("uiResultsMvp");
+    const rows = matchStandings().slice(0, 10);
+    const mvp = rows[0];
+    $("uiResultsTitle").textContent = title;
+    $("uiResultsSub").textContent = sub || "";
+    if (mvpEl) {
+      mvpEl.innerHTML = mvp ? `
+        <div class="pfp">${mvp.profilePictureUrl ? `<img src="${escapeAttr(mvp.profilePictureUrl)}" alt="">` : ""}</div>
+        <div>
+          <div class="mvpLabel">🏆 MVP</div>
+          <div class="nick">${escapeHtml(mvp.nickname || "Player")}</div>
+        </div>
+        <div class="val">${escapeHtml(`${formatScore(mvp.total)} ${A.scoreUnit}`)}</div>` : "";
+    }
+    if (list) {
+      list.innerHTML = rows.length
+        ? rows.map((u, i) => `
+          <div class="scoreRow">
+            <div class="rank">${i + 1}</div>
+            <div class="pfp">${u.profilePictureUrl ? `<img src="${escapeAttr(u.profilePictureUrl)}" alt="">` : ""}</div>
+            <div class="nick">${escapeHtml(u.nickname || "Player")}</div>
+            <div class="val">${escapeHtml(formatScore(u.total))}
+              <div class="resultsStats">${escapeHtml([`${u.roundWins} round win${u.roundWins === 1 ? "" : "s"}`, `best ${formatScore(u.bestRound)}`, A.resultStats ? A.resultStats(u) : ""].filter(Boolean).join(" • "))}</div>
+            </div>
+          </div>`).join("")
+        : `<div class="overlayHint">No scores this time.</div>`;
+    }
+    const again = $("resultsPlayAgainBtn");
+    if (again) again.style.display = canReplay ? "" : "none";
+    resultsOverlay.style.display = "flex";
+  }
+
+  function hideResults() {
+    if (resultsOverlay) resultsOverlay.style.display = "none";
+  }
+
+  $("resultsPlayAgainBtn")?.addEventListener("click", () => {
+    if (mode === "live" && connected) startMatch();
+    else startPractice();
+  });
+  $("resultsPracticeBtn")?.addEventListener("click", startPractice);
+  $("resultsCloseBtn")?.addEventListener("click", () => {
+    hideResults();
+    showOverlay(true);
+  });
+
   bootCloseBtn?.addEventListener("click", hideBootError);
   bootPracticeBtn?.addEventListener("click", () => {
     hideBootError();
@@ -178,21 +334,34 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   }
 
   function updateHud() {
-    hudRound.textContent = String(round);
-    hudTime.textContent = formatTime(timeLeft);
-    hudShots.textContent = String(totalShots);
-    hudHits.textContent = String(totalHits);
+    hudRound.textContent = `${round}/${S.rounds.count}`;
+    hudTime.textContent = (pauses.size ? "⏸ " : "") + formatTime(phase === "round" || phase === "idle" ? timeLeft : phaseLeft);
+    if (hudViewers) hudViewers.textContent = viewerCount ? formatCount(viewerCount) + (level ? ` • Lv ${level}` : "") : "—";
+    const stats = A.hud();
+    setHudSlot(hudShots, stats[0]);
+    setHudSlot(hudHits, stats[1]);
+    renderHostControls();
+  }
+
+  // stat: [label, value]
+  function setHudSlot(valueEl, stat) {
+    if (!stat) return;
+    const label = valueEl.parentElement?.querySelector(".hudLabel");
+    if (label && label.textContent !== String(stat[0])) label.textContent = String(stat[0]);
+    valueEl.textContent = String(stat[1]);
+  }
+
+  function rankedUsers() {
+    return Array.from(users.values()).sort((a, b) => b.score - a.score);
   }
 
   function renderScoreboard() {
-    const arr = Array.from(users.values())
-      .sort((a, b) => (b.hits - a.hits) || (b.shots - a.shots))
-      .slice(0, 5);
+    const arr = rankedUsers().slice(0, 5);
 
     scoreboardEl.innerHTML = "";
     const card = document.createElement("div");
     card.className = "scoreCard";
-    card.innerHTML = `<div class="scoreTitle">Top Hunters (Hits)</div>`;
+    card.innerHTML = `<div class="scoreTitle">${escapeHtml(A.scoreTitle)}</div>`;
 
     for (const u of arr) {
       const row = document.createElement("div");
@@ -200,237 +369,738 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
       row.innerHTML = `
         <div class="pfp">${u.profilePictureUrl ? `<img src="${escapeAttr(u.profilePictureUrl)}" alt="">` : ""}</div>
         <div class="nick">${escapeHtml(u.nickname || "Player")}</div>
-        <div class="val">${u.hits}</div>
+        <div class="val">${escapeHtml(String(A.scoreText ? A.scoreText(u) : u.score))}</div>
       `;
       card.appendChild(row);
     }
 
     scoreboardEl.appendChild(card);
+
+    // Team standings (archetypes with a team mode)
+    const teams = A.teamStandings ? A.teamStandings() : [];
+    if (!teams.length) return;
+    const teamCard = document.createElement("div");
+    teamCard.className = "scoreCard teamCard";
+    teamCard.innerHTML = `<div class="scoreTitle">Teams</div>`;
+    for (const t of teams) {
+      const row = document.createElement("div");
+      row.className = "teamRow";
+      row.style.borderColor = t.color || "";
+      row.innerHTML = `
+        <div class="scoreRow">
+          <div class="nick">${escapeHtml(`${t.emoji || ""} ${t.name}`.trim())}</div>
+          <div class="val">${escapeHtml(String(t.score))}</div>
+        </div>
+        <div class="teamTop">${t.top ? `MVP ${escapeHtml(t.top.nickname)} • ` : ""}${escapeHtml(String(t.players))} playing</div>
+      `;
+      teamCard.appendChild(row);
+    }
+    scoreboardEl.appendChild(teamCard);
+  }
+
+  function applyArchetypeToUI() {
+    try {
+      updateHud();
+      const tips = $("uiHostTips");
+      const lines = [...(Array.isArray(A.hostTips) ? A.hostTips : []), ...rewardTips()];
+      if (tips && lines.length) tips.innerHTML = lines.map((t) => "• " + escapeHtml(t)).join("<br/>");
+
+      const gifts = $("uiGiftRules");
+      if (gifts && Array.isArray(A.giftHelp) && A.giftHelp.length) {
+        gifts.innerHTML = `<div class="giftRulesTitle">Gift effects</div>` + A.giftHelp.map((t) => `<div>🎁 ${escapeHtml(t)}</div>`).join("");
+      }
+    } catch {}
   }
 
   // -----------------------------
-  // Game logic
+  // Game logic (round engine shared by every archetype)
+  //
+  // A match is a run of phases: lobby (LIVE only, viewers !join) -> countdown -> round ->
+  // intermission -> countdown -> ... -> results once S.rounds.count rounds are played.
+  // One ticker drives every phase and stands still while the game is paused.
   // -----------------------------
+  const FINAL_ROUND_SECONDS = 3; // last round's flash before the results card
+
   function resetRound() {
-    board.fill(0);
-    targets.clear();
-    totalShots = 0;
-    totalHits = 0;
-    likesBank = 0;
+    for (const u of users.values()) u.score = 0;
 
-    for (const u of users.values()) {
-      u.shots = 0;
-      u.hits = 0;
-      u.lastShotAt = 0;
+    const nextLevel = mode === "live" ? difficultyLevel() : 0;
+    if (nextLevel !== level && mode === "live") {
+      addFlag({ pfpUrl: "", line1: `${formatCount(viewerCount)} watching`, line2: `Difficulty ${nextLevel > level ? "up" : "down"} • Lv ${nextLevel}` });
     }
+    level = nextLevel;
 
-    // Scale targets with grid size so different prompts/settings still feel good
-    const targetCount = clampInt(Math.floor(gridSize * gridSize * 0.12), 8, Math.floor(gridSize * gridSize * 0.35));
-    placeTargetsRandom(targetCount);
-
-    timeLeft = clampInt(S.defaultSettings.roundSeconds, 5, 600);
+    timeLeft = roundSeconds();
 
     particles.length = 0;
     ripples.length = 0;
 
+    A.reset();
+
     updateHud();
     renderScoreboard();
   }
 
-  function placeTargetsRandom(count) {
-    const c = clampInt(count, 6, Math.floor(gridSize * gridSize * 0.35));
-    let guard = 0;
-    while (targets.size < c && guard < 5000) {
-      guard++;
-      const idx = randInt(0, gridSize * gridSize - 1);
-      targets.add(idx);
+  // New match for the current mode: match totals are cleared, players are kept.
+  function startMatch() {
+    round = 1;
+    roundEnding = false;
+    for (const u of users.values()) resetTotals(u);
+    hideResults();
+    showOverlay(false);
+
+    const lobby = mode === "live" ? S.rounds.lobbySeconds : 0;
+    if (lobby) {
+      resetRound();
+      setPhase("lobby", lobby);
+    } else startCountdown();
+    startTimer();
+  }
+
+  function setPhase(next, seconds) {
+    phase = next;
+    phaseLeft = seconds;
+    updateHud();
+    if (!pauses.size) setStatus(phaseStatus());
+  }
+
+  function phaseStatus() {
+    const where = mode === "live" ? "LIVE" : "Practice";
+    const of = `Round ${round} of ${S.rounds.count}`;
+    switch (phase) {
+      case "lobby": return `${where} • Lobby • type ${S.commands.join} to play`;
+      case "countdown": return `${where} • ${of} starting…`;
+      case "round": return mode === "live" ? `LIVE • ${of}` : `Practice • ${of} • ${A.practiceHint}`;
+      case "intermission": return `${where} • ${of} complete`;
+      default: return "";
     }
   }
 
+  function startCountdown() {
+    resetRound();
+    if (S.rounds.countdownSeconds) setPhase("countdown", S.rounds.countdownSeconds);
+    else beginRound();
+  }
+
+  function beginRound() {
+    session += 1;
+    roundEnding = false;
+    sfx("round");
+    setPhase("round", 0);
+  }
+
+  // Chat/likes/gifts only drive the game while a round is being played.
+  function inPlay() { return phase === "round" && !roundEnding; }
+
+  // setTimeout for round effects: fn is dropped if that round has ended (or the game was
+  // stopped/restarted) by the time it fires.
+  function roundTimeout(fn, ms) {
+    const s = session;
+    return setTimeout(() => { if (s === session && inPlay()) fn(); }, ms);
+  }
+
   function startTimer() {
     stopTimer();
     timerHandle = setInterval(() => {
-      if (mode === "idle") return;
-      if (roundEnding) return;
-      timeLeft -= 1;
-      if (timeLeft <= 0) {
-        timeLeft = 0;
+      if (mode === "idle" || phase === "results") return;
+      if (pauses.size) {
+        if (reconnectAt) showReconnectStatus();
+        return;
+      }
+      if (phase === "round") {
+        if (roundEnding) return;
+        timeLeft -= 1;
+        if (timeLeft <= 0) {
+          timeLeft = 0;
+          updateHud();
+          endRound();
+          return;
+        }
+        if (A.onTick) A.onTick();
         updateHud();
-        endRound();
         return;
       }
+
+      phaseLeft -= 1;
       updateHud();
+      if (phaseLeft > 0) {
+        if (phase === "countdown") sfx("scan");
+        return;
+      }
+      advancePhase();
     }, 1000);
   }
 
+  // Lobby, countdown or intermission is over (or skipped by the host): on to the next phase.
+  function advancePhase() {
+    if (phase === "lobby") startCountdown();
+    else if (phase === "countdown") beginRound();
+    else if (phase === "intermission") {
+      if (round >= S.rounds.count) finishMatch();
+      else {
+        round += 1;
+        startCountdown();
+      }
+    }
+  }
+
   function stopTimer() {
     if (timerHandle) clearInterval(timerHandle);
     timerHandle = null;
   }
 
+  // Archetypes call this when their win condition is met before the clock runs out.
+  function finishRound() {
+    timeLeft = 0;
+    updateHud();
+    endRound();
+  }
+
   let roundEnding = false;
   function endRound() {
-    if (roundEnding) return;
+    if (phase !== "round" || roundEnding) return;
     roundEnding = true;
+    session += 1;
 
-    stopTimer();
+    sfx("round");
 
-    const best = Array.from(users.values())
-      .sort((a, b) => (b.hits - a.hits) || (b.shots - a.shots))[0];
+    const best = rankedUsers()[0];
+    const result = A.roundResult ? A.roundResult(best) : null;
 
-    if (best && best.hits > 0) {
-      flashWinner(best, `wins the round with ${best.hits} hits!`);
+    if (result) {
+      flashWinner(result.user, result.text);
+    } else if (best && best.score > 0) {
+      flashWinner(best, `wins the round with ${best.score} ${A.scoreUnit}!`);
     } else {
-      flashWinner({ nickname: "No one" }, "No hits this round!");
+      flashWinner({ nickname: "No one" }, `No ${A.scoreUnit} this round!`);
     }
 
     addFlag({
       pfpUrl: best?.profilePictureUrl,
       line1: "Round ended",
-      line2: best ? `${best.nickname} led with ${best.hits}` : "Try again!"
+      line2: best ? `${best.nickname} led with ${A.scoreText ? A.scoreText(best) : best.score}` : "Try again!"
     });
 
-    setTimeout(() => {
-      round += 1;
-      roundEnding = false;
-      resetRound();
-      startTimer();
-      setStatus(mode === "live" && connected ? "LIVE • Round started" : "Practice • Round started");
-      showOverlay(false);
-    }, 1200);
+    settleRound(best);
+    setPhase("intermission", round >= S.rounds.count ? FINAL_ROUND_SECONDS : Math.max(1, S.rounds.intermissionSeconds));
   }
 
-  function registerUser(user) {
-    if (!user || !user.userId) return null;
+  // Adds the round to every player's match totals.
+  function settleRound(best) {
+    for (const u of users.values()) {
+      u.total = Math.round((u.total + u.score) * 10) / 10;
+      u.bestRound = Math.max(u.bestRound, u.score);
+    }
+    if (best && best.score > 0) best.roundWins += 1;
+    recordRound(best);
+  }
 
-    if (!users.has(user.userId)) {
-      users.set(user.userId, {
-        userId: user.userId,
-        nickname: user.nickname || "Player",
-        profilePictureUrl: user.profilePictureUrl || "",
-        shots: 0,
-        hits: 0,
-        lastShotAt: 0,
-      });
-    } else {
-      const u = users.get(user.userId);
-      u.nickname = user.nickname || u.nickname;
-      u.profilePictureUrl = user.profilePictureUrl || u.profilePictureUrl;
+  function resetTotals(u) {
+    u.total = 0;
+    u.roundWins = 0;
+    u.bestRound = 0;
+    if (A.initTotals) A.initTotals(u);
+  }
+
+  // Match ranking: total score, then rounds won.
+  function matchStandings() {
+    return Array.from(users.values())
+      .filter((u) => u.total > 0)
+      .sort((a, b) => b.total - a.total || b.roundWins - a.roundWins);
+  }
+
+  // Every round played: results card with MVP; the LIVE connection stays up for Play again.
+  function finishMatch() {
+    phase = "results";
+    stopTimer();
+    sfx("round");
+    const where = mode === "live" ? "LIVE" : "Practice";
+    setStatus(`${where} • Match over`);
+    updateHud();
+    showResults("Match over", `${S.rounds.count} round${S.rounds.count === 1 ? "" : "s"} played`, true);
+  }
+
+  // Stops play for good (e.g. the stream ended): settles the current round, drops the
+  // LIVE connection and shows the final standings.
+  function endMatch(title, sub) {
+    if (inPlay()) settleRound(rankedUsers()[0]);
+    session += 1;
+    stopTimer();
+    hardStopLiveClient();
+    mode = "idle";
+    phase = "results";
+    connected = false;
+    pendingStart = false;
+    liveRunning = false;
+    pauses.clear();
+    cancelReconnect();
+    roundEnding = false;
+
+    sfx("round");
+    setStatus(title);
+    updateHud();
+    showResults(title, sub, false);
+  }
+
+  function pauseRound(reason, status) {
+    pauses.add(reason);
+    setStatus(status);
+    updateHud();
+  }
+
+  // The clock only restarts once every pause reason is cleared.
+  function resumeRound(reason, status) {
+    if (!pauses.delete(reason)) return;
+    if (!pauses.size) setStatus(status);
+    updateHud();
+  }
+
+  // Viewer-count difficulty (spec.live). Archetypes scale their targets by difficulty()
+  // in reset(), so the level only changes between rounds.
+  function difficultyLevel() {
+    return clampInt(viewerCount / Math.max(1, S.live.viewersPerLevel), 0, S.live.maxLevel);
+  }
+
+  function difficulty() { return 1 + level * S.live.scalePerLevel; }
+
+  function rewardText(reward) {
+    if (!reward || !reward.amount || reward.effect === "none") return "";
+    return reward.effect === "gift" ? (reward.amount > 1 ? `${reward.amount}× gift power` : "free gift power") : `${reward.amount} bonus likes`;
+  }
+
+  function rewardTips() {
+    const follow = rewardText(S.live.followReward);
+    const share = rewardText(S.live.shareReward);
+    const parts = [follow && `Follow = ${follow}`, share && `Share = ${share}`].filter(Boolean);
+    return parts.length ? [parts.join(" • ") + " (once per viewer)."] : [];
+  }
+
+  // -----------------------------
+  // Leaderboard (persistent, per game)
+  //
+  // LIVE round scores are added to localStorage under this game's archetype + title, keyed
+  // by TikTok userId. Each player has all-time totals plus today's and this week's buckets;
+  // a bucket starts over once its date key is out of date. Practice rounds are not recorded.
+  // -----------------------------
+  const BOARD_PERIODS = { daily: "Today", weekly: "This week", allTime: "All-time" };
+  const BOARD_MAX_PLAYERS = 2000; // lowest all-time scores are dropped beyond this
+  const ATTRACT_PERIOD_MS = 6000; // how long the idle screen shows each period
+  const BOARD_CSV_COLUMNS = [
+    "userId", "nickname", "allTimeScore", "allTimeWins", "allTimeRounds",
+    "weeklyKey", "weeklyScore", "weeklyWins", "weeklyRounds", "dailyKey", "dailyScore", "dailyWins", "dailyRounds",
+  ];
+  let attract = { at: 0, period: "", rows: [] };
+
+  function boardStorageKey() {
+    const slug = S.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "game";
+    return `chattok.leaderboard.${S.archetype}.${slug}`;
+  }
+
+  function loadBoard() {
+    try {
+      const data = JSON.parse(localStorage.getItem(boardStorageKey()) || "null");
+      if (data && data.players && typeof data.players === "object") return data;
+    } catch {}
+    return { version: 1, players: {} };
+  }
+
+  function saveBoard() {
+    try {
+      localStorage.setItem(boardStorageKey(), JSON.stringify(board));
+    } catch (e) {
+      console.warn("Leaderboard not saved:", e);
     }
+  }
 
-    return users.get(user.userId);
+  // "2026-10-19" for daily, ISO week "2026-W42" for weekly (local time).
+  function periodKey(period, now = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (period === "daily") return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    d.setDate(d.getDate() + 3 - ((d.getDay() + 6) % 7)); // Thursday decides the week's year
+    const week1 = new Date(d.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((d - week1) / 86400000 - 3 + ((week1.getDay() + 6) % 7)) / 7);
+    return `${d.getFullYear()}-W${pad(week)}`;
   }
 
-  function tryFireAt(text, user) {
-    // Accept:
-    // - "!fire A4"
-    // - "A4"
-    // - "a-4"
-    // - "fire a4"
-    const coord = parseCoordinate(text, gridSize, S.commands.fire);
-    if (!coord) return false;
+  // The entry's current bucket for a period; stale daily/weekly buckets read as empty.
+  function bucketOf(entry, period, create) {
+    if (period === "allTime") return entry.allTime;
+    const key = periodKey(period);
+    if (entry[period]?.key === key) return entry[period];
+    if (!create) return null;
+    return (entry[period] = { key, score: 0, wins: 0, rounds: 0 });
+  }
 
-    const u = registerUser(user) || { nickname: "Player" };
-    const now = Date.now();
+  function recordRound(best) {
+    if (mode !== "live") return;
+    let changed = false;
+    for (const u of users.values()) {
+      if (!(u.score > 0)) continue;
+      const e = (board.players[u.userId] ||= { userId: u.userId, allTime: { score: 0, wins: 0, rounds: 0 } });
+      e.nickname = u.nickname;
+      e.profilePictureUrl = u.profilePictureUrl;
+      e.lastSeen = Date.now();
+      for (const period of Object.keys(BOARD_PERIODS)) {
+        const b = bucketOf(e, period, true);
+        b.score = Math.round((b.score + u.score) * 10) / 10;
+        b.rounds += 1;
+        if (u === best) b.wins += 1;
+      }
+      changed = true;
+    }
+    if (!changed) return;
+    pruneBoard();
+    saveBoard();
+    renderBoard();
+  }
 
-    // simple per-user cooldown to reduce spam
-    if (u.lastShotAt && now - u.lastShotAt < 1200) return true;
-    u.lastShotAt = now;
+  function pruneBoard() {
+    const entries = Object.values(board.players);
+    if (entries.length <= BOARD_MAX_PLAYERS) return;
+    entries.sort((a, b) => b.allTime.score - a.allTime.score);
+    board.players = Object.fromEntries(entries.slice(0, BOARD_MAX_PLAYERS).map((e) => [e.userId, e]));
+  }
 
-    const idx = coord.row * gridSize + coord.col;
-    if (board[idx] === 1 || board[idx] === 2) return true;
+  function boardRows(period) {
+    return Object.values(board.players)
+      .map((e) => ({ e, b: bucketOf(e, period, false) }))
+      .filter((r) => r.b && r.b.score > 0)
+      .sort((x, y) => y.b.score - x.b.score || y.b.wins - x.b.wins);
+  }
 
-    totalShots += 1;
-    u.shots += 1;
+  function renderBoard() {
+    const list = $("uiBoardList");
+    if (!list) return;
+    for (const tab of document.querySelectorAll("#uiBoardTabs .boardTab")) {
+      tab.classList.toggle("active", tab.dataset.period === boardPeriod);
+    }
+    const rows = boardRows(boardPeriod).slice(0, 10);
+    list.innerHTML = rows.length
+      ? rows.map(({ e, b }, i) => `
+        <div class="scoreRow">
+          <div class="rank">${i + 1}</div>
+          <div class="nick">${escapeHtml(e.nickname || "Player")}</div>
+          <div class="val">${escapeHtml(`${formatScore(b.score)} • ${b.wins}🏆`)}</div>
+        </div>`).join("")
+      : `<div class="small">No LIVE scores ${boardPeriod === "allTime" ? "yet" : BOARD_PERIODS[boardPeriod].toLowerCase()}.</div>`;
+    setBoardHint(`Saved in this browser • ${Object.keys(board.players).length} players`);
+    attract.at = 0;
+  }
 
-    const hit = targets.has(idx);
-    if (hit) {
-      board[idx] = 2;
-      totalHits += 1;
-      u.hits += 1;
-      burstAtCell(coord.col, coord.row, true);
-      addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `HIT ${S.visuals.hitEmoji} at ${coord.label}` });
-      flashWinner(u, `HIT ${S.visuals.hitEmoji} • ${coord.label}`);
-    } else {
-      board[idx] = 1;
-      burstAtCell(coord.col, coord.row, false);
-      addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `MISS ${S.visuals.missEmoji} at ${coord.label}` });
-      flashWinner(u, `MISS ${S.visuals.missEmoji} • ${coord.label}`);
+  function setBoardHint(text) {
+    const el = $("uiBoardHint");
+    if (el) el.textContent = text;
+  }
+
+  function downloadFile(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportBoard(format) {
+    const name = boardStorageKey().replace(/^chattok\./, "");
+    if (format === "json") {
+      downloadFile(`${name}.json`, "application/json", JSON.stringify(board, null, 2));
+      return;
+    }
+    const lines = [BOARD_CSV_COLUMNS.join(",")];
+    for (const e of Object.values(board.players)) {
+      const w = e.weekly || {};
+      const d = e.daily || {};
+      lines.push([
+        e.userId, e.nickname, e.allTime.score, e.allTime.wins, e.allTime.rounds,
+        w.key, w.score, w.wins, w.rounds, d.key, d.score, d.wins, d.rounds,
+      ].map(csvCell).join(","));
     }
+    downloadFile(`${name}.csv`, "text/csv", lines.join("\n"));
+  }
 
-    renderScoreboard();
+  // Quotes as needed; a leading = + - @ is escaped so spreadsheets don't run it as a formula.
+  function csvCell(v) {
+    let t = v == null ? "" : String(v);
+    if (/^[=+\-@]/.test(t) && !Number.isFinite(Number(t))) t = "'" + t;
+    return /[",\r\n]/.test(t) ? `"${t.replaceAll('"', '""')}"` : t;
+  }
 
-    if (totalHits >= winGoal) {
-      timeLeft = 0;
-      updateHud();
-      endRound();
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else cell += ch;
     }
+    if (cell || row.length) rows.push([...row, cell]);
+    return rows.filter((r) => r.some((c) => c.trim()));
+  }
 
-    return true;
+  // Accepts an exported JSON board ({ players }) or CSV; returns clean entries.
+  function boardEntriesFrom(text) {
+    const num = (v) => (Number.isFinite(Number(v)) ? Math.max(0, Number(v)) : 0);
+    const bucket = (b) => ({ score: num(b?.score), wins: num(b?.wins), rounds: num(b?.rounds) });
+    const dated = (b) => (b && /^\d{4}-(W\d{2}|\d{2}-\d{2})$/.test(String(b.key)) ? { key: String(b.key), ...bucket(b) } : undefined);
+    const clean = (e) => (e && e.userId ? {
+      userId: String(e.userId),
+      nickname: String(e.nickname || "Player").replace(/^'(?=[=+\-@])/, "").slice(0, 60),
+      profilePictureUrl: String(e.profilePictureUrl || ""),
+      allTime: bucket(e.allTime),
+      weekly: dated(e.weekly),
+      daily: dated(e.daily),
+      lastSeen: num(e.lastSeen),
+    } : null);
+
+    if (/^\s*[[{]/.test(text)) {
+      const data = JSON.parse(text);
+      const list = Array.isArray(data) ? data : Object.values(data?.players || {});
+      return list.map(clean).filter(Boolean);
+    }
+
+    const [head, ...rows] = parseCsv(text);
+    const col = (r, name) => r[(head || []).indexOf(name)];
+    if (!head || !head.includes("userId")) throw new Error("CSV needs a userId column");
+    return rows.map((r) => clean({
+      userId: col(r, "userId"),
+      nickname: col(r, "nickname"),
+      allTime: { score: col(r, "allTimeScore"), wins: col(r, "allTimeWins"), rounds: col(r, "allTimeRounds") },
+      weekly: { key: col(r, "weeklyKey"), score: col(r, "weeklyScore"), wins: col(r, "weeklyWins"), rounds: col(r, "weeklyRounds") },
+      daily: { key: col(r, "dailyKey"), score: col(r, "dailyScore"), wins: col(r, "dailyWins"), rounds: col(r, "dailyRounds") },
+    })).filter(Boolean);
   }
 
-  function onLike(user, likeCount) {
-    const u = registerUser(user) || { nickname: "Someone", profilePictureUrl: "" };
-    likesBank += clampInt(likeCount || 1, 1, 9999);
-    if (likesBank >= 50) {
-      likesBank = 0;
-      revealHintCell(u);
+  // Imported players replace the stored entry with the same userId; everyone else is kept.
+  function importBoard(text) {
+    try {
+      const entries = boardEntriesFrom(text);
+      for (const e of entries) board.players[e.userId] = e;
+      pruneBoard();
+      saveBoard();
+      renderBoard();
+      setBoardHint(`Imported ${entries.length} player${entries.length === 1 ? "" : "s"}`);
+    } catch (e) {
+      setBoardHint(`Import failed: ${e && e.message ? e.message : "unreadable file"}`);
     }
   }
 
-  function revealHintCell(u) {
-    const candidates = [];
-    for (const t of targets) {
-      const r = Math.floor(t / gridSize);
-      const c = t % gridSize;
-      for (const [dr, dc] of [[-1,0],[1,0],[0,-1],[0,1]]) {
-        const rr = r + dr, cc = c + dc;
-        if (rr < 0 || rr >= gridSize || cc < 0 || cc >= gridSize) continue;
-        const idx = rr * gridSize + cc;
-        if (board[idx] === 0) candidates.push(idx);
-      }
+  function resetBoard() {
+    if (!window.confirm("Reset today's, this week's and all-time leaderboards for this game?")) return;
+    board.players = {};
+    saveBoard();
+    renderBoard();
+  }
+
+  $("uiBoardTabs")?.addEventListener("click", (ev) => {
+    const period = ev.target?.dataset?.period;
+    if (!BOARD_PERIODS[period]) return;
+    boardPeriod = period;
+    renderBoard();
+  });
+  $("boardExportJsonBtn")?.addEventListener("click", () => exportBoard("json"));
+  $("boardExportCsvBtn")?.addEventListener("click", () => exportBoard("csv"));
+  $("boardImportBtn")?.addEventListener("click", () => $("boardImportInput")?.click());
+  $("boardImportInput")?.addEventListener("change", async (ev) => {
+    const file = ev.target.files?.[0];
+    ev.target.value = "";
+    if (file) importBoard(await file.text());
+  });
+  $("boardResetBtn")?.addEventListener("click", resetBoard);
+
+  function registerUser(user) {
+    if (!user || !user.userId) return null;
+
+    if (!users.has(user.userId)) {
+      const u = {
+        userId: user.userId,
+        nickname: user.nickname || "Player",
+        profilePictureUrl: user.profilePictureUrl || "",
+        score: 0,
+        total: 0,
+        roundWins: 0,
+        bestRound: 0,
+      };
+      if (A.initTotals) A.initTotals(u);
+      if (A.initUser) A.initUser(u);
+      users.set(user.userId, u);
+    } else {
+      const u = users.get(user.userId);
+      u.nickname = user.nickname || u.nickname;
+      u.profilePictureUrl = user.profilePictureUrl || u.profilePictureUrl;
     }
-    if (!candidates.length) return;
 
-    const idx = candidates[randInt(0, candidates.length - 1)];
-    board[idx] = 3;
+    return users.get(user.userId);
+  }
+
+  // -----------------------------
+  // Host controls
+  //
+  // Hosts and moderators from spec.host run the match from chat; the Host controls card
+  // (and its keyboard shortcuts) does the same on this screen in LIVE and practice.
+  // Moderators can do everything but !reset.
+  // -----------------------------
+  const HOST_COMMANDS = { "!pause": "pause", "!resume": "resume", "!skip": "skip", "!addtime": "addtime", "!reset": "reset" };
+  const HOST_KEYS = { p: "toggle", n: "skip", t: "addtime", r: "reset" };
+  const HOST_ADD_SECONDS = 30; // !addtime without a number, and the +30s button
+  const hostIds = new Set(S.host.hostIds);
+  const modIds = new Set(S.host.modIds);
+
+  // Matches the numeric user id or the @username.
+  function roleOf(user) {
+    const ids = [user.userId, user.uniqueId].filter(Boolean).map(normalizeChat);
+    if (ids.some((id) => hostIds.has(id))) return "host";
+    if (ids.some((id) => modIds.has(id))) return "mod";
+    return "";
+  }
+
+  // Controls only apply while a match is running (lobby through the last intermission).
+  function hostReady() { return mode !== "idle" && phase !== "idle" && phase !== "results"; }
+
+  // Runs one control; returns the flag text, or "" when it does not apply right now.
+  function hostAction(action, seconds) {
+    if (!hostReady()) return "";
+    if (action === "toggle") action = pauses.has("host") ? "resume" : "pause";
+    switch (action) {
+      case "pause":
+        if (pauses.has("host")) return "";
+        pauseRound("host", `${mode === "live" ? "LIVE" : "Practice"} • Paused by host`);
+        return "⏸ paused the game";
+      case "resume":
+        if (!pauses.has("host")) return "";
+        resumeRound("host", phaseStatus());
+        return "▶️ resumed the game";
+      case "skip":
+        if (phase === "round") {
+          if (roundEnding) return "";
+          finishRound();
+          return "⏭ ended the round";
+        }
+        advancePhase();
+        return "⏭ skipped ahead";
+      case "addtime": {
+        if (roundEnding) return "";
+        const n = clampInt(seconds || HOST_ADD_SECONDS, 1, 600);
+        if (phase === "round") timeLeft += n;
+        else phaseLeft += n;
+        updateHud();
+        return `+${n}s on the clock ⏱️`;
+      }
+      case "reset":
+        pauses.delete("host");
+        startMatch();
+        return "🔄 restarted the match";
+      default:
+        return "";
+    }
+  }
 
-    const rr = Math.floor(idx / gridSize);
-    const cc = idx % gridSize;
-    scanRipple(cc, rr);
-    addFlag({ pfpUrl: u?.profilePictureUrl, line1: `${u?.nickname || "Like storm!"}`, line2: `SCAN ${S.visuals.scanEmoji} reveals a warm spot` });
+  // "!pause", "!addtime 30", ... from a listed host or mod; anyone else's is ordinary chat.
+  function onHostCommand(text, user) {
+    const [word, arg] = normalizeChat(text).split(/\s+/);
+    const action = HOST_COMMANDS[word];
+    const role = action ? roleOf(user) : "";
+    if (!role || (action === "reset" && role !== "host")) return false;
+    const done = hostAction(action, Number(arg));
+    if (done) addFlag({ pfpUrl: user.profilePictureUrl, line1: `${user.nickname} (${role})`, line2: done });
+    return true;
   }
 
-  function onGift(user, giftName, repeatCount) {
-    const u = registerUser(user) || { nickname: "Someone", profilePictureUrl: "" };
-    const n = clampInt(repeatCount || 1, 1, 10);
-    const strikes = Math.min(3, n);
-    addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: `GIFT: ${giftName} → AIRSTRIKE x${strikes}` });
-    for (let i = 0; i < strikes; i++) setTimeout(() => airstrike(u), 120 * i);
+  function runHostControl(action) {
+    if (!hostReady()) return;
+    if (action === "reset" && !window.confirm("Restart the match from round 1? Match scores are cleared.")) return;
+    const done = hostAction(action);
+    if (done) addFlag({ pfpUrl: "", line1: "Host", line2: done });
   }
 
-  function airstrike(u) {
-    const candidates = [];
-    for (let i = 0; i < board.length; i++) if (board[i] === 0) candidates.push(i);
-    if (!candidates.length) return;
+  function renderHostControls() {
+    if (!hostControlsEl) return;
+    const ready = hostReady();
+    for (const btn of hostControlsEl.querySelectorAll("button")) btn.disabled = !ready;
+    const pauseBtn = $("hostPauseBtn");
+    if (pauseBtn) pauseBtn.textContent = pauses.has("host") ? "Resume (P)" : "Pause (P)";
+  }
 
-    const idx = candidates[randInt(0, candidates.length - 1)];
-    const r = Math.floor(idx / gridSize);
-    const c = idx % gridSize;
-    tryFireAt(`${toColLabel(c)}${r + 1}`, u);
+  const hostHint = $("uiHostHint");
+  if (hostHint) {
+    const who = hostIds.size + modIds.size
+      ? `${hostIds.size} host${hostIds.size === 1 ? "" : "s"} and ${modIds.size} mod${modIds.size === 1 ? "" : "s"} can use !pause, !resume, !skip, !addtime 30 and !reset in chat.`
+      : "Add host/mod user IDs to spec.host to allow !pause, !resume, !skip, !addtime 30 and !reset in chat.";
+    hostHint.textContent = `Keys: P pause/resume • N skip • T +${HOST_ADD_SECONDS}s • R reset. ${who}`;
   }
 
+  $("hostPauseBtn")?.addEventListener("click", () => runHostControl("toggle"));
+  $("hostSkipBtn")?.addEventListener("click", () => runHostControl("skip"));
+  $("hostAddTimeBtn")?.addEventListener("click", () => runHostControl("addtime"));
+  $("hostResetBtn")?.addEventListener("click", () => runHostControl("reset"));
+
+  document.addEventListener("keydown", (ev) => {
+    const action = HOST_KEYS[String(ev.key || "").toLowerCase()];
+    if (!action || ev.repeat || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (ev.target?.closest?.("input, textarea, select, [contenteditable]")) return; // typing, not a shortcut
+    runHostControl(action);
+  });
+
+  // -----------------------------
+  // Archetype rules
+  //
+  // The server injects archetypes/<S.archetype>.js here. It defines createArchetype(),
+  // which runs inside this closure (so it can use S, settings, users, registerUser, addFlag,
+  // flashWinner, sfx, burst, ripple, drawText, finishRound, roundTimeout, ...) and returns:
+  //   scoreTitle, scoreUnit    scoreboard heading + unit used in the round-end flash
+  //   idleHint, practiceHint   canvas hint while idle + status text in practice
+  //   joinedText               flag line when a viewer types the join command
+  //   hostTips                 optional lines for the Host Tips card
+  //   giftHelp                 optional lines listed under "Gift effects" in How to Play
+  //   hud()                    -> [[label, value], [label, value]] for the two stat HUD blocks
+  //   reset()                  new round (user.score is already 0)
+  //   initUser(u)              optional: add archetype stats to a new user
+  //   initTotals(u)            optional: zero archetype match stats (new user and every new match)
+  //   resultStats(u)           optional extra text for the user's row on the results card
+  //   onJoin(u, arg)           optional: "!join <arg>"; may return the flag line
+  //   onChat(text, user)       -> true when the message was a game action (no chat flag)
+  //   onLike(user, count), onGift(user, giftName, repeatCount, gift)   gift: see toLiveEvent()
+  //   onTick()                 optional: once per second while a round runs (not while paused)
+  //   onTap(x, y, host)        practice input in canvas pixels
+  //   draw()                   board rendering (background + effects are drawn around it)
+  //   roundResult(best)        optional -> { user, text } for the round-end flash
+  //   scoreText(u)             optional scoreboard value (defaults to u.score)
+  //   teamStandings()          optional -> [{ name, emoji, color, score, players, top }] for the Teams card
+  // difficulty() (>= 1, from the LIVE viewer count) is fixed for the round; archetypes
+  // multiply their targets by it in reset().
+  // -----------------------------
+  /*__ARCHETYPE__*/
+
   // -----------------------------
   // Effects & rendering
   // -----------------------------
-  function burstAtCell(col, row, isHit) {
-    const p = cellCenter(col, row);
-    ripples.push({ x: p.x, y: p.y, t: 0, hit: !!isHit });
+  function burst(x, y, isHit) {
+    ripples.push({ x, y, t: 0, hit: !!isHit });
 
     for (let i = 0; i < 22; i++) {
       particles.push({
-        x: p.x,
-        y: p.y,
+        x,
+        y,
         vx: (Math.random() - 0.5) * 6,
         vy: (Math.random() - 0.7) * 7,
         life: 40 + Math.random() * 25,
@@ -439,9 +1109,8 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     }
   }
 
-  function scanRipple(col, row) {
-    const p = cellCenter(col, row);
-    ripples.push({ x: p.x, y: p.y, t: 0, hit: null, scan: true });
+  function ripple(x, y) {
+    ripples.push({ x, y, t: 0, hit: null, scan: true });
   }
 
   function draw() {
@@ -449,13 +1118,45 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     resizeCanvasToCSS();
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     drawBackground();
-    drawGrid();
+    if (mode !== "idle" || !drawAttract()) A.draw();
     stepEffects();
     drawRipples();
     drawParticles();
+    if (pauses.size) drawPauseBanner();
+    else if (mode !== "idle") drawPhaseBanner();
     if (mode === "idle") drawIdleHint();
   }
 
+  function drawBanner(title, sub) {
+    const h = Math.max(70, canvas.height * 0.1);
+    const y = canvas.height * 0.45 - h / 2;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(0, y, canvas.width, h);
+    drawText(title, canvas.width / 2, y + h * 0.38, Math.max(18, canvas.width * 0.05));
+    drawText(sub, canvas.width / 2, y + h * 0.74, Math.max(11, canvas.width * 0.022), { weight: 700, color: "rgba(255,255,255,0.75)" });
+  }
+
+  function drawPauseBanner() {
+    const offline = pauses.has("offline");
+    const sub = offline && reconnectAt
+      ? `Next try in ${Math.max(0, Math.ceil((reconnectAt - Date.now()) / 1000))}s • the round resumes where it left off`
+      : "The round resumes where it left off";
+    drawBanner(offline ? "RECONNECTING…" : pauses.has("stream") ? "LIVE PAUSED" : "PAUSED BY HOST", sub);
+  }
+
+  function drawPhaseBanner() {
+    const of = `Round ${round} of ${S.rounds.count}`;
+    if (phase === "lobby") {
+      drawBanner(`JOIN NOW • ${phaseLeft}s`, `Type ${S.commands.join} to play • ${users.size} ready • ${S.rounds.count} rounds`);
+    } else if (phase === "countdown") {
+      drawBanner(String(phaseLeft), `${of} • get ready!`);
+    } else if (phase === "intermission") {
+      const lead = matchStandings()[0];
+      const sub = lead ? `Match leader: ${lead.nickname} • ${formatScore(lead.total)} ${A.scoreUnit}` : `${of} complete`;
+      drawBanner(round >= S.rounds.count ? "FINAL ROUND OVER" : `NEXT ROUND IN ${phaseLeft}s`, sub);
+    }
+  }
+
   function drawBackground() {
     const g = ctx.createLinearGradient(0, 0, 0, canvas.height);
     g.addColorStop(0, "rgba(0,242,234,0.10)");
@@ -466,67 +1167,12 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     ctx.fillRect(0, 0, canvas.width, canvas.height);
   }
 
-  function gridRect() {
-    const padX = Math.max(44, canvas.width * 0.075);
-    const padY = Math.max(120, canvas.height * 0.12);
-    const size = Math.min(canvas.width - padX * 2, canvas.height - padY * 2);
-    const x = (canvas.width - size) / 2;
+  // Play area below the HUD and above the scoreboard; archetypes lay out inside it.
+  function boardRect() {
+    const x = Math.max(44, canvas.width * 0.075);
     const y = Math.max(110, canvas.height * 0.16);
-    return { x, y, size };
-  }
-
-  function cellCenter(col, row) {
-    const gr = gridRect();
-    const cs = gr.size / gridSize;
-    return { x: gr.x + (col + 0.5) * cs, y: gr.y + (row + 0.5) * cs, cs };
-  }
-
-  function drawGrid() {
-    const gr = gridRect();
-    const cs = gr.size / gridSize;
-
-    ctx.strokeStyle = "rgba(255,255,255,0.14)";
-    ctx.lineWidth = Math.max(2, cs * 0.04);
-    roundRect(ctx, gr.x - 8, gr.y - 8, gr.size + 16, gr.size + 16, 16);
-    ctx.stroke();
-
-    ctx.fillStyle = "rgba(255,255,255,0.75)";
-    ctx.font = `900 ${Math.max(12, cs * 0.28)}px system-ui`;
-    for (let c = 0; c < gridSize; c++) {
-      const t = toColLabel(c);
-      const x = gr.x + c * cs + cs / 2;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(t, x, gr.y - cs * 0.55);
-      ctx.fillText(t, x, gr.y + gr.size + cs * 0.55);
-    }
-    for (let r = 0; r < gridSize; r++) {
-      const t = String(r + 1);
-      const y = gr.y + r * cs + cs / 2;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(t, gr.x - cs * 0.55, y);
-      ctx.fillText(t, gr.x + gr.size + cs * 0.55, y);
-    }
-
-    for (let r = 0; r < gridSize; r++) {
-      for (let c = 0; c < gridSize; c++) {
-        const idx = r * gridSize + c;
-        const x = gr.x + c * cs;
-        const y = gr.y + r * cs;
-
-        ctx.fillStyle = "rgba(0,0,0,0.18)";
-        ctx.fillRect(x + 1, y + 1, cs - 2, cs - 2);
-
-        if (board[idx] === 1) drawEmoji(S.visuals.missEmoji, x + cs / 2, y + cs / 2, cs * 0.55);
-        else if (board[idx] === 2) drawEmoji(S.visuals.hitEmoji, x + cs / 2, y + cs / 2, cs * 0.60);
-        else if (board[idx] === 3) drawEmoji(S.visuals.scanEmoji, x + cs / 2, y + cs / 2, cs * 0.50);
-
-        ctx.strokeStyle = "rgba(255,255,255,0.08)";
-        ctx.lineWidth = Math.max(1, cs * 0.02);
-        ctx.strokeRect(x, y, cs, cs);
-      }
-    }
+    const bottom = canvas.height - Math.max(150, canvas.height * 0.16);
+    return { x, y, w: canvas.width - x * 2, h: Math.max(40, bottom - y) };
   }
 
   function drawIdleHint() {
@@ -534,13 +1180,45 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     ctx.font = `900 ${Math.max(20, canvas.width * 0.035)}px system-ui`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText("TAP A CELL TO FIRE", canvas.width / 2, Math.max(80, canvas.height * 0.11));
+    ctx.fillText(A.idleHint, canvas.width / 2, Math.max(80, canvas.height * 0.11));
 
     ctx.fillStyle = "rgba(255,255,255,0.65)";
     ctx.font = `700 ${Math.max(12, canvas.width * 0.022)}px system-ui`;
     ctx.fillText(`Or connect to TikTok LIVE with ${S.commands.join}`, canvas.width / 2, Math.max(110, canvas.height * 0.135));
   }
 
+  // Idle/attract screen: cycles through the leaderboard periods that have scores; returns
+  // false (so the board is drawn instead) while there is nothing to show.
+  function drawAttract() {
+    const now = Date.now();
+    if (now - attract.at > 1000) {
+      const periods = Object.keys(BOARD_PERIODS).filter((p) => boardRows(p).length);
+      const period = periods.length ? periods[Math.floor(now / ATTRACT_PERIOD_MS) % periods.length] : "";
+      attract = { at: now, period, rows: period ? boardRows(period).slice(0, 8) : [] };
+    }
+    if (!attract.rows.length) return false;
+
+    const b = boardRect();
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    roundRect(ctx, b.x, b.y, b.w, b.h, 18);
+    ctx.fill();
+
+    drawText(`🏆 ${BOARD_PERIODS[attract.period].toUpperCase()} • TOP PLAYERS`, b.x + b.w / 2, b.y + b.h * 0.08, Math.max(16, b.w * 0.05));
+    const rowH = Math.min(b.h * 0.09, 64);
+    attract.rows.forEach(({ e, b: bucket }, i) => {
+      const y = b.y + b.h * 0.17 + i * rowH * 1.12;
+      ctx.fillStyle = i === 0 ? "rgba(255,214,10,0.22)" : "rgba(255,255,255,0.06)";
+      roundRect(ctx, b.x + 14, y, b.w - 28, rowH, 12);
+      ctx.fill();
+      const mid = y + rowH / 2;
+      drawText(String(i + 1), b.x + 14 + rowH * 0.5, mid, rowH * 0.42, { color: "rgba(0,242,234,0.95)" });
+      drawText(e.nickname || "Player", b.x + 14 + rowH, mid, Math.max(12, rowH * 0.34), { align: "left" });
+      drawText(`${formatScore(bucket.score)} ${A.scoreUnit} • ${bucket.wins}🏆`, b.x + b.w - 28, mid, Math.max(11, rowH * 0.28), { align: "right", color: "rgba(255,255,255,0.85)" });
+    });
+    drawText("Join the next LIVE match to climb the board!", b.x + b.w / 2, b.y + b.h * 0.95, Math.max(11, b.w * 0.028), { weight: 700, color: "rgba(255,255,255,0.7)" });
+    return true;
+  }
+
   function drawEmoji(emoji, x, y, sizePx) {
     const sz = Math.max(10, Math.floor(sizePx));
     ctx.font = `900 ${sz}px system-ui, Apple Color Emoji, Segoe UI Emoji`;
@@ -549,6 +1227,33 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     ctx.fillText(emoji || "•", x, y);
   }
 
+  function drawText(text, x, y, sizePx, { weight = 900, color = "rgba(255,255,255,0.9)", align = "center" } = {}) {
+    ctx.fillStyle = color;
+    ctx.font = `${weight} ${Math.max(10, Math.floor(sizePx))}px system-ui, Apple Color Emoji, Segoe UI Emoji`;
+    ctx.textAlign = align;
+    ctx.textBaseline = "middle";
+    ctx.fillText(String(text), x, y);
+  }
+
+  // Word-wraps text to maxWidth (at most maxLines lines); returns the y just below the last line.
+  function drawWrapped(text, x, y, sizePx, maxWidth, maxLines = 3, opts = {}) {
+    ctx.font = `${opts.weight || 900} ${Math.max(10, Math.floor(sizePx))}px system-ui`;
+    const lines = [];
+    let line = "";
+    for (const word of String(text).split(/\s+/)) {
+      const next = line ? line + " " + word : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else line = next;
+    }
+    if (line) lines.push(line);
+
+    const lineH = sizePx * 1.25;
+    lines.slice(0, maxLines).forEach((l, i) => drawText(l, x, y + i * lineH, sizePx, opts));
+    return y + Math.min(lines.length, maxLines) * lineH;
+  }
+
   function stepEffects() {
     for (const p of particles) {
       p.x += p.vx;
@@ -595,14 +1300,10 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
       startPractice();
       return;
     }
-    if (mode !== "practice") return;
+    if (mode !== "practice" || !inPlay()) return;
 
     const pt = pointerToCanvas(ev);
-    const cell = pointToCell(pt.x, pt.y);
-    if (!cell) return;
-
-    const fakeUser = { userId: "practice", nickname: "Host", profilePictureUrl: "" };
-    tryFireAt(`${toColLabel(cell.col)}${cell.row + 1}`, fakeUser);
+    A.onTap(pt.x, pt.y, PRACTICE_USER);
   });
 
   function pointerToCanvas(ev) {
@@ -612,16 +1313,6 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     return { x, y };
   }
 
-  function pointToCell(x, y) {
-    const gr = gridRect();
-    if (x < gr.x || x > gr.x + gr.size || y < gr.y || y > gr.y + gr.size) return null;
-    const cs = gr.size / gridSize;
-    const col = Math.floor((x - gr.x) / cs);
-    const row = Math.floor((y - gr.y) / cs);
-    if (col < 0 || row < 0 || col >= gridSize || row >= gridSize) return null;
-    return { col, row };
-  }
-
   // -----------------------------
   // Buttons
   // -----------------------------
@@ -631,51 +1322,73 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   practiceBtn.addEventListener("click", startPractice);
   overlayPracticeBtn.addEventListener("click", startPractice);
 
+  // Detaches the client first so events from the closing socket are ignored.
   function hardStopLiveClient() {
+    const c = client;
+    client = null;
     try {
-      if (client && client.socket) client.socket.close();
+      if (c && c.socket) c.socket.close();
     } catch {}
     try {
-      if (client && typeof client.disconnect === "function") client.disconnect();
+      if (c && typeof c.disconnect === "function") c.disconnect();
     } catch {}
   }
 
   function startPractice() {
+    session += 1;
     mode = "practice";
     connected = false;
     pendingStart = false;
     roundEnding = false;
+    liveRunning = false;
+    pauses.clear();
+    cancelReconnect();
+    viewerCount = 0;
 
     stopTimer();
     hardStopLiveClient();
 
-    setStatus("Practice • Tap cells to fire");
-    showOverlay(false);
     hideBootError();
-
-    round = 1;
-    resetRound();
-    startTimer();
+    startMatch();
   }
 
   async function startLiveFromUI() {
-    const liveId = String(liveIdInput.value || "").trim();
-    if (!liveId) {
+    if (settings.offlineToggle) {
+      startPractice();
+      return;
+    }
+
+    const id = String(liveIdInput.value || "").trim();
+    if (!id) {
       setStatus("Enter a LIVE username or room ID first.");
       return;
     }
-    await startLive(liveId);
+    // Same room while offline: retry now and keep the game as it is.
+    if (mode === "live" && liveRunning && !connected && id === liveId) {
+      reconnectNow();
+      return;
+    }
+    await startLive(id);
   }
 
-  async function startLive(liveId) {
+  async function startLive(id) {
+    session += 1;
     mode = "live";
+    liveId = id;
     connected = false;
     pendingStart = true;
+    liveRunning = false;
     roundEnding = false;
+    pauses.clear();
+    cancelReconnect();
+    viewerCount = 0;
+    rewarded.clear();
+    phase = "idle";
 
     stopTimer();
     setStatus("Connecting…");
     showOverlay(false);
+    hideResults();
 
     const hasClient = typeof window.TikTokClient !== "undefined";
     const hasProto = typeof window.proto !== "undefined" && window.proto;
@@ -709,13 +1422,10 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   function beginLiveGame() {
     connected = true;
     pendingStart = false;
+    liveRunning = true;
 
     hideBootError();
-    setStatus("LIVE • Connected");
-
-    round = 1;
-    resetRound();
-    startTimer();
+    startMatch();
   }
 
   // =========================================================
@@ -757,21 +1467,25 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   // -----------------------------
   function onChatMessage(data) {
     try {
-      const msg = data || {};
-      const text = getChatTextFromMessage(msg);
-      const user = getUserFromMessage(msg);
+      const ev = toLiveEvent("chat", data);
+      const text = ev.text;
+      const user = ev.user;
       if (!text) return;
 
-      // Join
-      if (user && normalizeChat(text) === normalizeChat(S.commands.join)) {
+      if (user && onHostCommand(text, user)) return;
+
+      // Join ("!join", or "!join red" style for archetypes that pick a side)
+      const words = normalizeChat(text).split(/\s+/);
+      if (user && words[0] === normalizeChat(S.commands.join).split(/\s+/)[0]) {
         const u = registerUser(user);
-        addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: "joined the hunt" });
+        const line2 = A.onJoin ? A.onJoin(u, words.slice(1).join(" ")) : "";
+        addFlag({ pfpUrl: u.profilePictureUrl, line1: `${u.nickname}`, line2: line2 || A.joinedText });
         return;
       }
 
-      // Fire (accept coordinate-only too)
-      if (user) {
-        const did = tryFireAt(text, user);
+      // Game action (coordinates, answers, votes, guesses, ...)
+      if (user && inPlay()) {
+        const did = A.onChat(text, user);
         if (did) return;
       }
 
@@ -784,12 +1498,13 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
 
   function onGiftMessage(data) {
     try {
-      const msg = data || {};
-      const user = getUserFromMessage(msg);
-      const giftName = msg?.giftName || msg?.gift?.name || msg?.gift?.giftName || "Gift";
-      const repeatCount = msg?.repeatCount || msg?.repeat || msg?.count || 1;
-      if (!user) return;
-      onGift(user, giftName, repeatCount);
+      const ev = toLiveEvent("gift", data);
+      if (!ev.user || ev.gift.streaking) return; // combo still running; the final event carries the count
+      if (!inPlay()) {
+        addFlag({ pfpUrl: ev.user.profilePictureUrl, line1: ev.user.nickname, line2: `sent ${ev.gift.name} 💖` });
+        return;
+      }
+      A.onGift(ev.user, ev.gift.name, ev.gift.repeatCount, ev.gift);
     } catch (e) {
       console.error("Error in gift handler:", e);
     }
@@ -797,16 +1512,76 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
 
   function onLikeMessage(data) {
     try {
-      const msg = data || {};
-      const user = getUserFromMessage(msg);
-      const likeCount = msg?.likeCount || msg?.count || 1;
-      if (!user) return;
-      onLike(user, likeCount);
+      const ev = toLiveEvent("like", data);
+      if (!ev.user || !inPlay()) return;
+      A.onLike(ev.user, ev.likeCount);
     } catch (e) {
       console.error("Error in like handler:", e);
     }
   }
 
+  function onMemberMessage(data) {
+    try {
+      const user = toLiveEvent("member", data).user;
+      if (!user) return;
+      addFlag({ pfpUrl: user.profilePictureUrl, line1: user.nickname || "Viewer", line2: "joined the LIVE" });
+    } catch (e) {
+      console.error("Error in member handler:", e);
+    }
+  }
+
+  // Follow / share: thank the viewer and replay the configured reward (spec.live) once per viewer.
+  function onSocialMessage(data) {
+    try {
+      const ev = toLiveEvent("social", data);
+      if (!ev.user || !ev.social) return;
+
+      const reward = ev.social === "follow" ? S.live.followReward : S.live.shareReward;
+      const verb = ev.social === "follow" ? "followed the host" : "shared the LIVE";
+      const key = `${ev.social}:${ev.user.userId}`;
+      const text = rewardText(reward);
+      if (!text || rewarded.has(key) || mode !== "live" || pauses.size || !inPlay()) {
+        addFlag({ pfpUrl: ev.user.profilePictureUrl, line1: ev.user.nickname, line2: `${verb} 💖` });
+        return;
+      }
+
+      rewarded.add(key);
+      addFlag({ pfpUrl: ev.user.profilePictureUrl, line1: ev.user.nickname, line2: `${verb} → ${text}` });
+      if (reward.effect === "gift") {
+        const name = ev.social === "follow" ? "Follow" : "Share";
+        A.onGift(ev.user, name, reward.amount, { id: "", name, diamonds: 0, repeatCount: reward.amount, streaking: false });
+      } else {
+        A.onLike(ev.user, reward.amount);
+      }
+    } catch (e) {
+      console.error("Error in social handler:", e);
+    }
+  }
+
+  function onRoomUserSeqMessage(data) {
+    try {
+      const ev = toLiveEvent("roomUserSeq", data);
+      if (!ev.viewerCount) return;
+      viewerCount = ev.viewerCount;
+      updateHud();
+    } catch (e) {
+      console.error("Error in roomUserSeq handler:", e);
+    }
+  }
+
+  // Stream paused / resumed / ended by TikTok or the host.
+  function onControlMessage(data) {
+    try {
+      const ev = toLiveEvent("control", data);
+      if (mode !== "live") return;
+      if (ev.control === "paused") pauseRound("stream", "LIVE paused • Round on hold");
+      else if (ev.control === "resumed") resumeRound("stream", "LIVE • Resumed");
+      else if (ev.control === "ended") endMatch("Stream ended", "Thanks for playing!");
+    } catch (e) {
+      console.error("Error in control handler:", e);
+    }
+  }
+
   function setupTikTokClient(liveId) {
     if (!liveId) throw new Error("liveId is required");
 
@@ -817,62 +1592,48 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
       throw new Error("TikTokClient is not available. Check tiktok-client.js.");
     }
 
-    client = new TikTokClient(liveId);
+    const self = new TikTokClient(liveId);
+    client = self;
 
     // ChatTok injects CHATTOK_CREATOR_TOKEN globally.
     if (typeof CHATTOK_CREATOR_TOKEN !== "undefined" && CHATTOK_CREATOR_TOKEN) {
       try { client.setAccessToken(CHATTOK_CREATOR_TOKEN); } catch {}
     }
 
-    // Event names vary by build; register both lower + upper where applicable
+    // Event names vary by build; register both lower + upper where applicable.
+    // Events from a client we already replaced (reconnect / mode switch) are dropped.
     const on = (evt, fn) => {
-      try { client.on(evt, fn); } catch {}
+      try { self.on(evt, (...args) => { if (client === self) fn(...args); }); } catch {}
     };
 
     on("connected", () => {
       console.log("Connected to TikTok hub.");
-      if (!connected && pendingStart) beginLiveGame();
-      else setStatus("LIVE • Connected");
+      onConnected();
     });
 
     on("Connected", () => {
       console.log("Connected to TikTok hub (Connected).");
-      if (!connected && pendingStart) beginLiveGame();
-      else setStatus("LIVE • Connected");
+      onConnected();
     });
 
     on("disconnected", (reason) => {
       console.log("Disconnected from TikTok hub:", reason);
-      connected = false;
-      const msg = reason || "Connection closed";
-      setStatus("Disconnected: " + msg);
-      pendingStart = false;
-      stopTimer();
+      connectionLost("Disconnected: " + (reason || "Connection closed"));
     });
 
     on("Disconnected", (reason) => {
       console.log("Disconnected from TikTok hub (Disconnected):", reason);
-      connected = false;
-      const msg = reason || "Connection closed";
-      setStatus("Disconnected: " + msg);
-      pendingStart = false;
-      stopTimer();
+      connectionLost("Disconnected: " + (reason || "Connection closed"));
     });
 
     on("error", (err) => {
       console.error("TikTok client error:", err);
-      const msg = (err && err.message) ? err.message : "Unknown";
-      setStatus("Error: " + msg);
-      pendingStart = false;
-      stopTimer();
+      connectionLost("Error: " + ((err && err.message) ? err.message : "Unknown"));
     });
 
     on("Error", (err) => {
       console.error("TikTok client error (Error):", err);
-      const msg = (err && err.message) ? err.message : "Unknown";
-      setStatus("Error: " + msg);
-      pendingStart = false;
-      stopTimer();
+      connectionLost("Error: " + ((err && err.message) ? err.message : "Unknown"));
     });
 
     // message streams
@@ -885,18 +1646,101 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     on("like", onLikeMessage);
     on("Like", onLikeMessage);
 
-    on("member", (data) => {
-      const user = getUserFromMessage(data);
-      if (!user) return;
-      addFlag({ pfpUrl: user.profilePictureUrl, line1: user.nickname || "Viewer", line2: "joined the LIVE" });
-    });
-    on("Member", (data) => {
-      const user = getUserFromMessage(data);
-      if (!user) return;
-      addFlag({ pfpUrl: user.profilePictureUrl, line1: user.nickname || "Viewer", line2: "joined the LIVE" });
-    });
+    on("member", onMemberMessage);
+    on("Member", onMemberMessage);
+
+    on("social", onSocialMessage);
+    on("Social", onSocialMessage);
+
+    on("roomUserSeq", onRoomUserSeqMessage);
+    on("RoomUserSeq", onRoomUserSeqMessage);
 
-    client.connect();
+    on("control", onControlMessage);
+    on("Control", onControlMessage);
+
+    self.connect();
+  }
+
+  // -----------------------------
+  // LIVE: auto-reconnect
+  // Once a LIVE game is running, a dropped connection pauses the round (board, round and
+  // scores stay as they are) and retries with exponential backoff (1s, 2s, 4s … 30s) until
+  // it is back or the host switches mode. Start with the same room retries right away.
+  // -----------------------------
+  const RECONNECT_BASE_MS = 1000;
+  const RECONNECT_MAX_MS = 30000;
+  const CONNECT_TIMEOUT_MS = 15000;
+
+  let reconnectAttempt = 0;
+  let reconnectAt = 0;          // when the next attempt fires (0 = none scheduled)
+  let reconnectHandle = null;
+  let lastDrop = "";
+
+  function onConnected() {
+    if (!connected && pendingStart) beginLiveGame();
+    else if (liveRunning && !connected) {
+      connected = true;
+      cancelReconnect();
+      reconnectAttempt = 0;
+      addFlag({ pfpUrl: "", line1: "Back online", line2: "Reconnected to the LIVE" });
+      resumeRound("offline", "LIVE • Reconnected");
+    } else setStatus("LIVE • Connected");
+  }
+
+  function connectionLost(status) {
+    connected = false;
+    if (mode !== "live") return;
+
+    if (!liveRunning) {
+      // never got going: keep the old behaviour and let the host try again
+      setStatus(status);
+      pendingStart = false;
+      stopTimer();
+      return;
+    }
+
+    lastDrop = status;
+    if (!pauses.has("offline")) pauseRound("offline", status);
+    if (!reconnectAt) scheduleReconnect(); // error + disconnected often arrive together
+  }
+
+  function scheduleReconnect() {
+    cancelReconnect();
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempt);
+    reconnectAttempt += 1;
+    reconnectAt = Date.now() + delay;
+    reconnectHandle = setTimeout(reconnectNow, delay);
+    showReconnectStatus();
+  }
+
+  function reconnectNow() {
+    cancelReconnect();
+    if (mode !== "live" || !liveRunning || connected) return;
+
+    setStatus(`Reconnecting… (attempt ${Math.max(1, reconnectAttempt)})`);
+    try {
+      setupTikTokClient(liveId);
+    } catch (e) {
+      console.error(e);
+      connectionLost("Error: " + (e && e.message ? e.message : "Unknown"));
+      return;
+    }
+    // a socket that neither connects nor fails counts as a drop
+    reconnectHandle = setTimeout(() => {
+      reconnectHandle = null;
+      if (!connected) connectionLost("Connection timed out");
+    }, CONNECT_TIMEOUT_MS);
+  }
+
+  function cancelReconnect() {
+    if (reconnectHandle) clearTimeout(reconnectHandle);
+    reconnectHandle = null;
+    reconnectAt = 0;
+  }
+
+  function showReconnectStatus() {
+    const secs = Math.max(0, Math.ceil((reconnectAt - Date.now()) / 1000));
+    setStatus(`Offline • reconnecting in ${secs}s (attempt ${reconnectAttempt}) • ${lastDrop}`);
   }
 
   // -----------------------------
@@ -906,6 +1750,7 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   setStatus("Ready. Start LIVE or practice.");
   resetRound();
   updateHud();
+  renderBoard();
   draw();
 
   // -----------------------------
@@ -921,6 +1766,20 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
       commands: { join: "!join", fire: "!fire A4" },
       visuals: { hitEmoji: "💥", missEmoji: "🌊", scanEmoji: "🔎" },
       archetype: "grid-strike",
+      rounds: { count: 3, lobbySeconds: 15, countdownSeconds: 3, intermissionSeconds: 8 },
+      live: {
+        followReward: { effect: "gift", amount: 1 },
+        shareReward: { effect: "likes", amount: 50 },
+        viewersPerLevel: 50,
+        maxLevel: 4,
+        scalePerLevel: 0.25,
+      },
+      host: { hostIds: [], modIds: [] },
+      settings: [
+        { id: "offlineToggle", type: "checkbox", label: "Offline/Test Mode", default: false },
+        { id: "sfxToggle", type: "checkbox", label: "Sound FX", default: true },
+        { id: "volume", type: "range", label: "Volume", min: 0, max: 100, default: 60 },
+      ],
     };
 
     if (spec && typeof spec === "object") {
@@ -928,6 +1787,9 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
       if (spec.defaultSettings && typeof spec.defaultSettings === "object") f.defaultSettings = { ...f.defaultSettings, ...spec.defaultSettings };
       if (spec.commands && typeof spec.commands === "object") f.commands = { ...f.commands, ...spec.commands };
       if (spec.visuals && typeof spec.visuals === "object") f.visuals = { ...f.visuals, ...spec.visuals };
+      if (spec.rounds && typeof spec.rounds === "object") f.rounds = { ...f.rounds, ...spec.rounds };
+      if (spec.live && typeof spec.live === "object") f.live = { ...f.live, ...spec.live };
+      if (spec.host && typeof spec.host === "object") f.host = { ...f.host, ...spec.host };
       if (!Array.isArray(f.howToPlay)) f.howToPlay = f.howToPlay ? [String(f.howToPlay)] : [];
     }
 
@@ -940,40 +1802,45 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     f.visuals.hitEmoji = String(f.visuals.hitEmoji || "💥");
     f.visuals.missEmoji = String(f.visuals.missEmoji || "🌊");
     f.visuals.scanEmoji = String(f.visuals.scanEmoji || "🔎");
+    for (const k of ["followReward", "shareReward"]) {
+      const r = f.live[k] && typeof f.live[k] === "object" ? f.live[k] : {};
+      f.live[k] = { effect: ["gift", "likes", "none"].includes(r.effect) ? r.effect : "none", amount: clampInt(r.amount, 0, 1000) };
+    }
+    f.rounds = {
+      count: clampInt(f.rounds.count, 1, 20),
+      lobbySeconds: clampInt(f.rounds.lobbySeconds, 0, 300),
+      countdownSeconds: clampInt(f.rounds.countdownSeconds, 0, 10),
+      intermissionSeconds: clampInt(f.rounds.intermissionSeconds, 0, 120),
+    };
+    f.live.viewersPerLevel = clampInt(f.live.viewersPerLevel, 1, 100000);
+    f.live.maxLevel = clampInt(f.live.maxLevel, 0, 10);
+    f.live.scalePerLevel = Math.max(0, Math.min(2, Number(f.live.scalePerLevel) || 0));
+    for (const k of ["hostIds", "modIds"]) {
+      f.host[k] = (Array.isArray(f.host[k]) ? f.host[k] : []).map((id) => normalizeChat(id).replace(/^@/, "")).filter(Boolean);
+    }
 
     // normalize howToPlay entries to strings
     f.howToPlay = (Array.isArray(f.howToPlay) ? f.howToPlay : []).map((x) => String(x));
-    return f;
-  }
-
-  function parseCoordinate(text, size, firePatternHint) {
-    const t0 = String(text || "").trim();
-    if (!t0) return null;
-
-    // allow "!fire A4" style; remove the "!fire" part if present
-    const hint = String(firePatternHint || "!fire A4").split(/\s+/)[0].trim();
-    let t = t0;
-
-    // also accept "fire A4"
-    const tLower = normalizeChat(t);
-    const fireLower = normalizeChat(hint);
-    if (fireLower && tLower.startsWith(fireLower)) t = t.slice(hint.length).trim();
-    if (tLower.startsWith("fire ")) t = t.slice(5).trim();
 
-    // accept "A4", "a-4", "A 4", etc.
-    const cleaned = t.toUpperCase().replace(/[^A-Z0-9]/g, "");
-    const m = cleaned.match(/^([A-Z])([0-9]{1,2})$/);
-    if (!m) return null;
-
-    const col = m[1].charCodeAt(0) - 65;
-    const row = Number(m[2]) - 1;
-    if (col < 0 || col >= size || row < 0 || row >= size) return null;
-
-    return { col, row, label: `${toColLabel(col)}${row + 1}` };
+    // settings: [{ id, type: checkbox|range|number|text, label, default, min, max, step }]
+    f.settings = (Array.isArray(f.settings) ? f.settings : [])
+      .filter((it) => it && typeof it === "object" && /^[A-Za-z][\w-]*$/.test(String(it.id || "")))
+      .map((it) => {
+        const type = ["checkbox", "range", "number", "text"].includes(it.type) ? it.type : "text";
+        const out = { id: String(it.id), type, label: String(it.label || it.id) };
+        if (type === "checkbox") out.default = !!it.default;
+        else if (type === "range" || type === "number") {
+          out.min = Number.isFinite(Number(it.min)) ? Number(it.min) : 0;
+          out.max = Number.isFinite(Number(it.max)) ? Number(it.max) : 100;
+          out.step = Number.isFinite(Number(it.step)) && Number(it.step) > 0 ? Number(it.step) : 1;
+          const d = Number(it.default);
+          out.default = Math.max(out.min, Math.min(out.max, Number.isFinite(d) ? d : out.min));
+        } else out.default = String(it.default ?? "");
+        return out;
+      });
+    return f;
   }
 
-  function toColLabel(col) { return String.fromCharCode(65 + col); }
-
   function formatTime(sec) {
     const s = clampInt(sec, 0, 9999);
     const m = Math.floor(s / 60);
@@ -981,6 +1848,12 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
     return m > 0 ? `${m}:${String(r).padStart(2, "0")}` : String(r);
   }
 
+  function formatScore(n) { return String(Math.round((Number(n) || 0) * 10) / 10); }
+
+  function formatCount(n) {
+    return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}K` : String(n);
+  }
+
   function clampInt(n, a, b) {
     const x = Number(n);
     if (!Number.isFinite(x)) return a;
@@ -988,6 +1861,13 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
   }
   function clamp01(x) { return Math.max(0, Math.min(1, x)); }
   function randInt(a, b) { return Math.floor(a + Math.random() * (b - a + 1)); }
+  function shuffle(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = randInt(0, i);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  }
 
   function roundRect(ctx2, x, y, w, h, r) {
     const rr = Math.max(0, Math.min(r, Math.min(w, h) / 2));
@@ -1012,24 +1892,10 @@ const SPEC = window.__CHATTOK_SPEC__; /*__SPEC_END__*/
 
   function normalizeChat(t) { return String(t || "").trim().toLowerCase(); }
 
-  function getChatTextFromMessage(msg) {
-    return (msg?.comment || msg?.text || msg?.message || msg?.content || "").toString();
-  }
-
-  function getUserFromMessage(msg) {
-    const userId = (msg?.userId || msg?.user?.userId || msg?.user?.id || msg?.uniqueId || msg?.id || "").toString();
-    if (!userId) return null;
-
-    const nickname = (msg?.nickname || msg?.user?.nickname || msg?.user?.uniqueId || msg?.uniqueId || "Viewer").toString();
-    const pfp =
-      (msg?.profilePictureUrl ||
-        msg?.user?.profilePictureUrl ||
-        msg?.user?.avatarUrl ||
-        msg?.avatarUrl ||
-        "").toString();
-
-    return { userId, nickname, profilePictureUrl: pfp };
-  }
+  // -----------------------------
+  // TikTok event adapter (live-events.js, injected by the server): toLiveEvent(type, data)
+  // -----------------------------
+  /*__LIVE_EVENTS__*/
 
   function applySpecToUI(spec) {
     try {
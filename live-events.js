@@ -0,0 +1,103 @@
+/* =========================================================
+   TikTok event adapter
+   Every LIVE handler in game.js reads its payload through toLiveEvent(type, data). The server
+   splices this file into the template's IIFE at the __LIVE_EVENTS__ marker, and
+   test/tiktok-events.test.js runs it against fixtures/tiktok-events/, so it must not depend
+   on anything else in the template.
+   Accepted shapes:
+     - MessagesClean (proto toObject): user.displayid / nickname / avatarthumb.urllistList[0],
+       content, gift.{id,name,diamondcount,type}, combocount / repeatcount / repeatend,
+       count / total (likes), total (viewers), action (control), common.displaytext.key (social)
+     - camelCase proto JSON: user.displayId, user.avatarThumb.urlList[0], gift.diamondCount, comboCount, ...
+     - flat connector payloads: userId, uniqueId, nickname, profilePictureUrl, comment, giftName, diamondCount, ...
+   Result (missing values are "" / 0 / null, never undefined):
+     { type, user: { userId, uniqueId, nickname, profilePictureUrl } | null, text,
+       gift: { id, name, diamonds, repeatCount, streaking } | null,
+       likeCount, totalLikes, viewerCount, social: "follow" | "share" | "", control: "paused" | "resumed" | "ended" | "" }
+========================================================= */
+const CONTROL_ACTIONS = { 1: "paused", 2: "resumed", 3: "ended", 4: "ended" };
+
+function toLiveEvent(type, data) {
+  const m = data && typeof data === "object" ? data : {};
+  const ev = { type, user: eventUser(m), text: "", gift: null, likeCount: 0, totalLikes: 0, viewerCount: 0, social: "", control: "" };
+
+  if (type === "chat") ev.text = firstStr(m.content, m.comment, m.text, m.message);
+  else if (type === "gift") ev.gift = eventGift(m);
+  else if (type === "like") {
+    ev.likeCount = firstNum(m.count, m.likecount, m.likeCount) || 1;
+    ev.totalLikes = firstNum(m.total, m.totallikecount, m.totalLikeCount);
+  } else if (type === "social") ev.social = socialAction(m);
+  else if (type === "roomUserSeq") ev.viewerCount = firstNum(m.total, m.viewercount, m.viewerCount);
+  else if (type === "control") ev.control = controlAction(m);
+
+  return ev;
+}
+
+function eventUser(m) {
+  const u = m.user && typeof m.user === "object" ? m.user : {};
+  const uniqueId = firstStr(u.displayid, u.displayId, u.uniqueid, u.uniqueId, m.uniqueId);
+  const userId = firstStr(u.id, u.userid, u.userId, u.idStr, m.userId, m.userid, uniqueId);
+  if (!userId) return null;
+
+  return {
+    userId,
+    uniqueId,
+    nickname: firstStr(u.nickname, m.nickname, uniqueId) || "Viewer",
+    profilePictureUrl: firstStr(
+      firstOf(u.avatarthumb?.urllistList), firstOf(u.avatarThumb?.urlList), firstOf(u.avatarThumb?.urlListList),
+      u.profilePictureUrl, m.profilePictureUrl, u.avatarUrl, m.avatarUrl
+    ),
+  };
+}
+
+function eventGift(m) {
+  const g = m.gift && typeof m.gift === "object" ? m.gift : {};
+  const repeatEnd = m.repeatend ?? m.repeatEnd;
+  const giftType = firstNum(g.type, g.giftType, m.giftType);
+  return {
+    id: firstStr(g.id, m.giftid, m.giftId),
+    name: firstStr(g.name, g.giftName, m.giftName, m.giftname) || "Gift",
+    diamonds: firstNum(g.diamondcount, g.diamondCount, m.diamondCount, m.diamondcount),
+    repeatCount: firstNum(m.combocount, m.comboCount, m.repeatcount, m.repeatCount, m.repeat) || 1,
+    // type 1 (combo) gifts send one event per tick; only the one with repeatEnd is final
+    streaking: giftType === 1 && !(repeatEnd === true || Number(repeatEnd) === 1),
+  };
+}
+
+function socialAction(m) {
+  const key = firstStr(m.common?.displaytext?.key, m.common?.displayText?.key, m.displayType, m.displaytype, m.label).toLowerCase();
+  if (key.includes("follow")) return "follow";
+  if (key.includes("share")) return "share";
+  const action = firstNum(m.action);
+  return action === 1 ? "follow" : action === 3 ? "share" : "";
+}
+
+function controlAction(m) {
+  if (typeof m.action === "string" && !/^\d+$/.test(m.action)) {
+    const a = m.action.toUpperCase();
+    if (/UNPAUSE|RESUME/.test(a)) return "resumed";
+    if (/PAUSE/.test(a)) return "paused";
+    if (/END|SUSPEND/.test(a)) return "ended";
+    return "";
+  }
+  return CONTROL_ACTIONS[firstNum(m.action)] || "";
+}
+
+// First non-empty string/number as a trimmed string (int64 ids arrive as strings or numbers).
+function firstStr(...vals) {
+  for (const v of vals) {
+    if ((typeof v === "string" || typeof v === "number") && String(v).trim()) return String(v).trim();
+  }
+  return "";
+}
+
+function firstNum(...vals) {
+  for (const v of vals) {
+    if (v == null || v === "") continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) return n;
+  }
+  return 0;
+}
+
+function firstOf(list) { return Array.isArray(list) ? list[0] : undefined; }
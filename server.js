@@ -1,7 +1,16 @@
 import express from "express";
 import cors from "cors";
 import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import OpenAI from "openai";
+import * as acorn from "acorn";
+import * as acornWalk from "acorn-walk";
+import { parse as parseHtml } from "node-html-parser";
+import { JSON_ERROR_MESSAGES, extractJson, jsonExcerpt } from "./extract-json.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 
@@ -84,57 +93,301 @@ function listRoutes(appInstance) {
   });
 }
 
+/* ===============================
+   LLM providers
+   LLM_PROVIDER=openai (default) talks to OpenAI or any OpenAI-compatible server (LLM_BASE_URL);
+   LLM_PROVIDER=mock replays recorded responses from LLM_MOCK_FIXTURES (no network).
+   A provider is { name, complete({ route, model, messages, temperature, signal, onToken, jsonMode })
+     -> { text, model, finishReason } }.
+   =============================== */
+
 function getOpenAIClient() {
-  const apiKey = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!apiKey) return null;
-  return new OpenAI({ apiKey });
+  const apiKey = String(process.env.OPENAI_API_KEY || process.env.LLM_API_KEY || "").trim();
+  const baseURL = String(process.env.LLM_BASE_URL || "").trim();
+  if (!apiKey && !baseURL) return null;
+  // Self-hosted OpenAI-compatible servers usually ignore the key, but the SDK requires one.
+  // Retries are handled by openaiJson (backoff + model fallback), so the SDK's own are turned off.
+  return new OpenAI({ apiKey: apiKey || "not-needed", maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
 }
 
-function extractFirstJsonObject(text) {
-  const s = String(text || "").trim();
-  if (!s) return null;
+function createOpenAIProvider(client) {
+  return {
+    name: process.env.LLM_BASE_URL ? "openai-compatible" : "openai",
+    async complete({ model, messages, temperature, signal, onToken, jsonMode }) {
+      const params = { model, temperature, messages };
+      if (jsonMode) params.response_format = { type: "json_object" };
+      if (typeof onToken !== "function") {
+        const resp = await client.chat.completions.create(params, { signal });
+        const choice = resp?.choices?.[0];
+        return { text: choice?.message?.content || "", model: resp?.model || model, finishReason: choice?.finish_reason || "" };
+      }
+
+      let text = "";
+      let finishReason = "";
+      const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+      for await (const chunk of stream) {
+        const choice = chunk?.choices?.[0];
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        const delta = choice?.delta?.content || "";
+        if (!delta) continue;
+        text += delta;
+        try { onToken(delta); } catch {}
+      }
+      return { text, model, finishReason };
+    },
+  };
+}
 
-  try { return JSON.parse(s); } catch {}
+// Fixture file: { "responses": [{ "route"?, "match"?, "content" | "json" | "files" }] }
+// The first entry whose route matches and whose `match` occurs in the user message wins, so replay is
+// deterministic. "files" maps output keys to paths (relative to the fixture file) and replays
+// { key: <file contents> } — handy for recorded index.html / style.css / game.js outputs.
+function loadMockFixtures(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const dir = path.dirname(file);
+  const list = Array.isArray(raw) ? raw : raw?.responses;
+  assert(Array.isArray(list), "Mock fixtures must be an array or { responses: [] }", 500);
+
+  return list.map((f, i) => {
+    let content = f.content;
+    if (f.json !== undefined) content = JSON.stringify(f.json);
+    if (f.files && typeof f.files === "object") {
+      const out = {};
+      for (const [k, p] of Object.entries(f.files)) out[k] = fs.readFileSync(path.resolve(dir, p), "utf8");
+      content = JSON.stringify(out);
+    }
+    assert(typeof content === "string", `Mock fixture #${i} has no content/json/files`, 500);
+    return { route: f.route || "", match: f.match || "", model: f.model || "", finishReason: f.finishReason || "stop", content };
+  });
+}
 
-  const start = s.indexOf("{");
-  const end = s.lastIndexOf("}");
-  if (start >= 0 && end > start) {
-    const sub = s.slice(start, end + 1);
-    try { return JSON.parse(sub); } catch {}
-  }
-  return null;
+function createMockProvider(file) {
+  let fixtures = null;
+  return {
+    name: "mock",
+    async complete({ route, model, messages, signal, onToken }) {
+      fixtures = fixtures || loadMockFixtures(file);
+      const userText = messages.filter((m) => m.role === "user").map((m) => (typeof m.content === "string" ? m.content : JSON.stringify(m.content))).join("\n");
+      const hit = fixtures.find((f) => (!f.route || f.route === route) && (!f.match || userText.includes(f.match)));
+      if (!hit) throw new Error(`No mock fixture for route "${route}"`);
+      if (signal?.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+
+      if (typeof onToken === "function") {
+        for (let i = 0; i < hit.content.length; i += 64) {
+          if (signal?.aborted) throw Object.assign(new Error("aborted"), { name: "AbortError" });
+          try { onToken(hit.content.slice(i, i + 64)); } catch {}
+          await new Promise((r) => setImmediate(r));
+        }
+      }
+      return { text: hit.content, model: hit.model || model, finishReason: hit.finishReason };
+    },
+  };
 }
 
-async function openaiJson({ model, system, user, timeoutMs, temperature }) {
+let mockProvider = null;
+function getProvider() {
+  const name = String(process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  if (name === "mock") {
+    const file = String(process.env.LLM_MOCK_FIXTURES || path.join(__dirname, "fixtures", "mock-llm", "fixtures.json")).trim();
+    if (!mockProvider || mockProvider.file !== file) mockProvider = { file, provider: createMockProvider(file) };
+    return mockProvider.provider;
+  }
   const client = getOpenAIClient();
-  if (!client) return { ok: false, error: "OPENAI_API_KEY missing" };
+  return client ? createOpenAIProvider(client) : null;
+}
+
+function hasModel() {
+  return !!getProvider();
+}
+
+// Per-route model settings. Defaults keep the original OPENAI_MODEL_SPEC / OPENAI_MODEL_BUILD knobs;
+// LLM_MODEL_<ROUTE>, LLM_TEMPERATURE_<ROUTE>, LLM_TIMEOUT_MS_<ROUTE> and LLM_JSON_MODE[_<ROUTE>]
+// (provider-side JSON response format, "1"/"0") override them.
+// Retries: LLM_RETRIES[_<ROUTE>] extra attempts per model (default 2), LLM_RETRY_BASE_MS / LLM_RETRY_MAX_MS
+// bound the backoff, and LLM_FALLBACK_MODELS[_<ROUTE>] is a comma-separated list tried after the primary model.
+const ROUTE_DEFAULTS = {
+  plan: { modelEnv: "OPENAI_MODEL_SPEC", temperature: 0.35 },
+  build: { modelEnv: "OPENAI_MODEL_BUILD", temperature: 0.35 },
+  edit: { modelEnv: "OPENAI_MODEL_BUILD", temperature: 0.35 },
+  repair: { modelEnv: "OPENAI_MODEL_BUILD", temperature: 0.2 },
+  vision: { modelEnv: "OPENAI_MODEL_VISION", temperature: 0.35 }, // screenshot-guided edits; must accept images
+};
+
+function modelConfig(route) {
+  const d = ROUTE_DEFAULTS[route] || ROUTE_DEFAULTS.build;
+  const key = route.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const env = (k) => String(process.env[k] ?? "").trim();
+  const num = (v, fallback, min, max) => (v !== "" && Number.isFinite(Number(v)) ? Math.max(min, Math.min(max, Number(v))) : fallback);
+
+  return {
+    route,
+    model: env(`LLM_MODEL_${key}`) || env(d.modelEnv) || "gpt-4o-mini",
+    temperature: num(env(`LLM_TEMPERATURE_${key}`), d.temperature, 0, 2),
+    timeoutMs: num(env(`LLM_TIMEOUT_MS_${key}`), 60000, 1000, 600000),
+    jsonMode: /^(1|true|yes|on)$/i.test(env(`LLM_JSON_MODE_${key}`) || env("LLM_JSON_MODE")),
+    retries: Math.round(num(env(`LLM_RETRIES_${key}`) || env("LLM_RETRIES"), 2, 0, 5)),
+    retryBaseMs: num(env("LLM_RETRY_BASE_MS"), 500, 0, 60000),
+    retryMaxMs: num(env("LLM_RETRY_MAX_MS"), 10000, 0, 120000),
+    fallbackModels: (env(`LLM_FALLBACK_MODELS_${key}`) || env("LLM_FALLBACK_MODELS")).split(",").map((m) => m.trim()).filter(Boolean),
+  };
+}
+
+// LLM_RECORD_FIXTURES=<file> appends every live response in mock-fixture format, to build replay sets.
+function recordFixture({ route, user, text, model }) {
+  const file = String(process.env.LLM_RECORD_FIXTURES || "").trim();
+  if (!file) return;
+  try {
+    let data = { responses: [] };
+    if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, "utf8"));
+    const match = safeStr(String(user || "").split("\n")[0], 200);
+    data.responses.push({ route, match, model, content: text });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error("Failed to record fixture:", e?.message || e);
+  }
+}
 
+// One model call: { ok, json, raw, repaired, provider, model } or { ok: false, error, errorType?, status?, retryAfterMs? }.
+// `images` ([{ url, note, detail }]) turns the user message into text + image content parts.
+async function completeJsonOnce({ provider, route, model, system, user, images, timeoutMs, temperature, jsonMode, signal, onToken }) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
 
   try {
-    const resp = await client.chat.completions.create(
-      {
-        model,
-        temperature,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: user },
-        ],
-      },
-      { signal: controller.signal }
-    );
-
-    const text = resp?.choices?.[0]?.message?.content || "";
-    const json = extractFirstJsonObject(text);
-    if (!json) return { ok: false, error: "Model did not return valid JSON", raw: text };
-    return { ok: true, json, raw: text };
+    const content = images?.length
+      ? [
+          { type: "text", text: user },
+          ...images.flatMap((img, i) => [
+            { type: "text", text: `Screenshot ${i + 1}${img.note ? `: ${img.note}` : ""}` },
+            { type: "image_url", image_url: { url: img.url, detail: img.detail || "auto" } },
+          ]),
+        ]
+      : user;
+    const messages = [
+      { role: "system", content: system },
+      { role: "user", content },
+    ];
+    const out = await provider.complete({ route, model, messages, temperature, jsonMode, signal: controller.signal, onToken });
+    const text = out.text || "";
+    if (signal?.aborted) return { ok: false, error: "Request aborted", aborted: true };
+
+    if (provider.name !== "mock") recordFixture({ route, user, text, model: out.model });
+
+    const meta = { provider: provider.name, model: out.model || model };
+    const parsed = extractJson(text);
+    if (!parsed.ok) {
+      // A cut-off response that happens to contain no "{" yet is still a truncation, not prose.
+      const errorType = out.finishReason === "length" ? "truncated" : parsed.errorType;
+      return { ok: false, error: JSON_ERROR_MESSAGES[errorType], errorType, excerpt: parsed.excerpt, raw: text, ...meta };
+    }
+    const repaired = parsed.repaired || out.finishReason === "length";
+    return { ok: true, json: parsed.value, repaired, raw: text, ...meta };
   } catch (e) {
-    const msg = e?.name === "AbortError" ? "OpenAI timeout" : (e?.message || String(e));
-    return { ok: false, error: msg };
+    if (signal?.aborted) return { ok: false, error: "Request aborted", aborted: true };
+    if (e?.name === "AbortError" || controller.signal.aborted) return { ok: false, error: "OpenAI timeout", errorType: "timeout" };
+    return { ok: false, error: e?.message || String(e), status: Number(e?.status) || undefined, retryAfterMs: retryAfterMs(e?.headers) };
   } finally {
     clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Reads Retry-After / retry-after-ms from an SDK error's headers (plain object or Headers).
+function retryAfterMs(headers) {
+  if (!headers) return undefined;
+  const get = (k) => (typeof headers.get === "function" ? headers.get(k) : headers[k]);
+  const ms = Number(get("retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const v = get("retry-after");
+  if (v == null || v === "") return undefined;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : undefined;
+}
+
+// Auth, bad-request and not-found errors will not get better by waiting; move on to the next model.
+function isRetryable(r) {
+  if (r.aborted) return false;
+  return !(r.status && r.status < 500 && ![408, 409, 429].includes(r.status));
+}
+
+function backoffDelay(attempt, { retryBaseMs, retryMaxMs }, retryAfter) {
+  if (Number.isFinite(retryAfter)) return Math.min(retryAfter, retryMaxMs);
+  const cap = Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1));
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const t = setTimeout(done, ms);
+    function done() {
+      clearTimeout(t);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done);
+  });
+}
+
+// `signal` lets the caller (e.g. a disconnected SSE client) abort; `onToken` switches to streaming.
+// Tries `model` then each of `fallbackModels`, retrying transient failures (timeouts, 429, 5xx, unusable
+// JSON) with exponential backoff + jitter. `onRetry({ attempt, model, nextModel, delayMs, error })` fires
+// before each new attempt, so streaming clients can discard the partial output they already received.
+// Results carry `attempt` (1-based, across all models) and `failures` for the attempts that did not work.
+async function openaiJson({
+  route = "build", model, fallbackModels = [], retries = 0, retryBaseMs = 500, retryMaxMs = 10000,
+  system, user, images, timeoutMs, temperature, jsonMode, signal, onToken, onRetry,
+}) {
+  const provider = getProvider();
+  if (!provider) return { ok: false, error: "OPENAI_API_KEY missing" };
+  if (signal?.aborted) return { ok: false, error: "Request aborted", aborted: true };
+
+  const models = [...new Set([model, ...fallbackModels].filter(Boolean))];
+  const failures = [];
+  let attempt = 0;
+  let last = null;
+
+  for (let m = 0; m < models.length; m++) {
+    for (let tryNo = 1; tryNo <= retries + 1; tryNo++) {
+      attempt++;
+      const r = await completeJsonOnce({ provider, route, model: models[m], system, user, images, timeoutMs, temperature, jsonMode, signal, onToken });
+      if (r.ok) return { ...r, attempt, failures };
+      if (r.aborted) return { ...r, attempt, failures };
+
+      last = r;
+      failures.push({ attempt, model: models[m], error: r.error, ...(r.status ? { status: r.status } : {}), ...(r.errorType ? { errorType: r.errorType } : {}) });
+
+      const sameModel = isRetryable(r) && tryNo <= retries;
+      const nextModel = sameModel ? models[m] : models[m + 1];
+      if (!nextModel) break;
+
+      const delayMs = sameModel ? backoffDelay(tryNo, { retryBaseMs, retryMaxMs }, r.retryAfterMs) : 0;
+      try { onRetry?.({ attempt: attempt + 1, model: nextModel, delayMs, error: r.error }); } catch {}
+      if (delayMs) await sleep(delayMs, signal);
+      if (signal?.aborted) return { ok: false, error: "Request aborted", aborted: true, attempt, failures };
+      if (!sameModel) break;
+    }
   }
+
+  const { retryAfterMs: _ra, ...rest } = last;
+  return { ...rest, model: last.model || models[models.length - 1], provider: provider.name, attempt, failures };
+}
+
+// Public summary of which provider/model/attempt answered, for route responses.
+function llmInfo(r) {
+  if (!r?.provider) return undefined;
+  const info = { provider: r.provider, model: r.model, attempt: r.attempt };
+  if (r.failures?.length) info.failures = r.failures;
+  return info;
+}
+
+// Forwards openaiJson retries to a streaming client as a "retrying" phase.
+function retryHook(hooks) {
+  return hooks.onPhase ? (info) => hooks.onPhase("retrying", info) : undefined;
 }
 
 const REQUIRED_SCRIPT_BLOCK = `
@@ -171,6 +424,103 @@ function ensureCssLink(html) {
   return out;
 }
 
+/* ===============================
+   Template-first build
+   =============================== */
+
+const TEMPLATE_FILES = {
+  "index.html": "index.template.html",
+  "style.css": "style.template.css",
+  "game.js": "game.template.js",
+};
+const templateCache = new Map();
+
+function loadTemplate(target) {
+  const file = TEMPLATE_FILES[target];
+  assert(file, "No template for target: " + target, 500);
+  if (!templateCache.has(file)) templateCache.set(file, fs.readFileSync(path.join(__dirname, file), "utf8"));
+  return templateCache.get(file);
+}
+
+// Rules for spec.archetype (archetypes/<id>.js). The file defines createArchetype() and is
+// spliced into game.js at the /*__ARCHETYPE__*/ marker, inside the template's IIFE, so it
+// shares the connection, HUD, flag and scoreboard scaffolding.
+function loadArchetype(id) {
+  assert(Object.hasOwn(ARCHETYPES, id), "Unknown archetype: " + id, 500);
+  const file = path.join("archetypes", id + ".js");
+  if (!templateCache.has(file)) templateCache.set(file, fs.readFileSync(path.join(__dirname, file), "utf8"));
+  return templateCache.get(file);
+}
+
+// The TikTok event adapter (toLiveEvent) lives in its own file so test/tiktok-events.test.js can
+// load it; it is spliced into game.js at the /*__LIVE_EVENTS__*/ marker.
+function loadLiveEvents() {
+  const file = "live-events.js";
+  if (!templateCache.has(file)) templateCache.set(file, fs.readFileSync(path.join(__dirname, file), "utf8"));
+  return templateCache.get(file);
+}
+
+// JSON that is safe to drop inside a <script> / JS file: no "</script>", no HTML comment openers,
+// no raw U+2028/U+2029 (which break older JS parsers).
+function safeJsonForScript(value) {
+  return JSON.stringify(value ?? null)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e")
+    .replace(/&/g, "\\u0026")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+function escapeHtmlText(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// The template reads the canonical spec shape (see "Game spec schema"); the theme always comes from the request.
+function normalizeTemplateSpec(spec, theme) {
+  return normalizeGameSpec(spec, { theme }).spec;
+}
+
+function renderTemplate(target, spec, theme) {
+  const src = loadTemplate(target);
+
+  if (target === "game.js") {
+    const indent = (code) => code.trim().replace(/\n(?=.)/g, "\n  ");
+    return src
+      .replace("__SPEC_JSON__", () => safeJsonForScript(spec))
+      .replace("/*__ARCHETYPE__*/", () => indent(loadArchetype(spec.archetype)))
+      .replace("/*__LIVE_EVENTS__*/", () => indent(loadLiveEvents()));
+  }
+
+  if (target === "style.css") {
+    return src
+      .replace(/__THEME_PRIMARY__/g, theme.primary)
+      .replace(/__THEME_SECONDARY__/g, theme.secondary)
+      .replace(/__THEME_BACKGROUND__/g, theme.bg);
+  }
+
+  let html = src
+    .replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${escapeHtmlText(spec.title)}</title>`)
+    .replace(/(<meta name="theme-color" content=")[^"]*(")/i, (_m, a, b) => a + theme.bg + b);
+  return ensureCssLink(ensureTikTokScriptOrder(html));
+}
+
+function renderTemplateProject(spec, theme) {
+  const s = normalizeTemplateSpec(spec, theme);
+  return {
+    spec: s,
+    files: {
+      "index.html": renderTemplate("index.html", s, theme),
+      "style.css": renderTemplate("style.css", s, theme),
+      "game.js": renderTemplate("game.js", s, theme),
+    },
+  };
+}
+
 function buildSystemRules(builderRules = "") {
   return `
 Return ONLY valid JSON. No markdown. No backticks.
@@ -206,265 +556,2842 @@ ${builderRules ? "BUILDER RULES:\n" + builderRules : ""}
 `.trim();
 }
 
+function titleFromPrompt(prompt) {
+  const first = safeStr(prompt, 400).split(/[.!?\n]/)[0] || "";
+  const words = first.replace(/[^\p{L}\p{N}\s'-]/gu, " ").split(/\s+/).filter(Boolean);
+  if (!words.length || words.length > 6) return "New TikTok Live Game";
+  return words.map((w) => w[0].toUpperCase() + w.slice(1)).join(" ");
+}
+
+// Best-effort archetype pick for prompts that never reach the model; grid-strike otherwise.
+const ARCHETYPE_HINTS = [
+  ["trivia", /\b(trivia|quiz(zes)?)\b/i],
+  ["tug-of-war", /\btug\b|tug[- ]of[- ]war/i],
+  ["chat-race", /\brac(e|es|ing)\b/i],
+  ["poll", /\b(polls?|vot(e|es|ing))\b/i],
+  ["word-guess", /\b(hangman|wordle|unscramble|guess the word|word (game|guess))\b/i],
+];
+
+function archetypeFromPrompt(prompt) {
+  const text = safeStr(prompt, 2000);
+  return ARCHETYPE_HINTS.find(([, re]) => re.test(text))?.[0] || "grid-strike";
+}
+
+// Complete, schema-valid spec used whenever the model is unavailable, so the no-key build is playable as-is.
 function fallbackSpecFromIdea(prompt, theme) {
+  const archetype = archetypeFromPrompt(prompt);
+  const arch = ARCHETYPES[archetype];
+  const defaultSettings = { ...SPEC_DEFAULT_SETTINGS };
+  defaultSettings.winGoal = Math.min(defaultSettings.winGoal, settingRange("winGoal", arch, arch.defaults).max);
   return {
-    title: "New TikTok Live Game",
+    schemaVersion: SPEC_SCHEMA_VERSION,
+    title: titleFromPrompt(prompt),
     subtitle: "Built with ChatTokApps",
-    oneLiner: "A TikTok LIVE interactive game.",
+    oneSentence: arch.oneSentence,
     theme,
+    archetype,
+    howToPlay: [...arch.howToPlay],
+    commands: archetypeCommands(arch, arch.defaults),
+    [arch.key]: structuredClone(arch.defaults),
+    live: structuredClone(LIVE_DEFAULTS),
+    defaultSettings,
+    visuals: { hitEmoji: "💥", missEmoji: "🌊", scanEmoji: "🔎" },
     ui: { orientation: "9:16", screens: ["settings", "game"] },
-    settings: [
-      { id: "offlineToggle", type: "checkbox", label: "Offline/Test Mode", default: false },
-      { id: "sfxToggle", type: "checkbox", label: "Sound FX", default: true },
-      { id: "volume", type: "range", label: "Volume", min: 0, max: 100, default: 60 },
-    ],
+    settings: defaultSettingsList(defaultSettings, archetype),
     promptSummary: safeStr(prompt, 300),
   };
 }
 
 /* ===============================
-   Routes
+   Game spec schema
+   One spec shape shared by /api/plan, /api/build*, the template and projects. Specs carry
+   `schemaVersion`; older ones are migrated forward (SPEC_MIGRATIONS) before normalization.
+   normalizeGameSpec() always returns a usable spec plus the problems it had to fix:
+     errors    values of the wrong type that were replaced by defaults (posted specs are rejected)
+     warnings  values that were coerced, clamped or migrated
    =============================== */
 
-app.get("/api/ping", noStore, (_req, res) => {
-  res.json({ ok: true, name: "chattok-builder-api", time: new Date().toISOString() });
-});
-
-app.get("/api/routes", noStore, (_req, res) => {
-  res.json({ ok: true, routes: listRoutes(app) });
-});
-
-app.post("/api/plan", noStore, async (req, res) => {
-  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
-  try {
-    const prompt = safeStr(req.body?.prompt || "", 40000);
-    assert(prompt, "Missing prompt");
-    const theme = normalizeTheme(req.body?.theme || {});
-    const builderRules = safeStr(req.body?.builderRules || "", 80000);
+const SPEC_SCHEMA_VERSION = 2;
+
+// Team entries ({ id, name, color, emoji }) shared by tugOfWar.teams and gridStrike.teamMode.teams.
+const TEAM_PALETTE = [
+  { id: "red", name: "Red", color: "#ff3b5c", emoji: "🔴" },
+  { id: "blue", name: "Blue", color: "#2f80ff", emoji: "🔵" },
+  { id: "green", name: "Green", color: "#2ee59d", emoji: "🟢" },
+  { id: "yellow", name: "Yellow", color: "#ffd60a", emoji: "🟡" },
+];
+const TEAM_SCHEMA = {
+  type: "object",
+  required: ["id", "name"],
+  properties: {
+    id: { type: "string", pattern: "^[a-z0-9-]+$" },
+    name: { type: "string", maxLength: 24 },
+    color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+    emoji: { type: "string" },
+  },
+};
+
+function teamItem(f, it, p) {
+  const name = safeStr(it?.name ?? it?.id, 24);
+  const id = safeStr(it?.id ?? name, 24).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  if (!id || !name) return f.drop(p, "Needs an id or name");
+  const fallback = TEAM_PALETTE[Number(p.match(/\[(\d+)\]$/)[1]) % TEAM_PALETTE.length];
+  const color = /^#[0-9a-fA-F]{6}$/.test(String(it.color || "")) ? it.color : fallback.color;
+  if (it.color != null && color !== it.color) f.warn(`${p}.color`, "Must be #rrggbb; default used");
+  return { id, name, color, emoji: safeStr(it.emoji, 16) || fallback.emoji };
+}
 
-    const client = getOpenAIClient();
-    let spec = null;
-    let usedFallback = false;
+// Renames repeated team ids in place ("red", "red" -> "red", "red-2").
+function dedupeTeamIds(f, teams, p) {
+  const seen = new Set();
+  teams.forEach((t, i) => {
+    if (seen.has(t.id)) {
+      t.id = `${t.id}-${i + 1}`;
+      f.warn(`${p}[${i}].id`, `Duplicate id; renamed to ${t.id}`);
+    }
+    seen.add(t.id);
+  });
+}
 
-    if (client) {
-      const model = String(process.env.OPENAI_MODEL_SPEC || "gpt-4o-mini").trim();
-      const system = buildSystemRules(builderRules);
-      const user = `
-Create a detailed game SPEC as JSON.
-Output keys:
-title, subtitle, oneLiner, theme, howToPlay, settings, chat, host, scoring, rounds, sfx, ui
+const GIFT_EFFECTS = ["airstrike", "extraShots", "rowStrike", "columnStrike", "radarScan", "timeExtension", "multiplier", "shield"];
+const SHIP_NAMES = { 2: "Destroyer", 3: "Cruiser", 4: "Battleship", 5: "Carrier" };
+const fleetCells = (ships) => ships.reduce((n, sh) => n + sh.length, 0);
+// Rules for each archetype live in archetypes/<id>.js (injected into the game.js template).
+// Each archetype reads its settings from its own spec block (spec.gridStrike, spec.trivia,
+// spec.tugOfWar, ...): `defaults` is a playable block, `schema` its JSON Schema,
+// `normalize(f, { defaultSettings })` fills/clamps it through archetypeFields(), `commands`
+// seeds spec.commands and `oneSentence`/`howToPlay` are the copy used by fallback specs.
+const ARCHETYPES = {
+  "grid-strike": {
+    key: "gridStrike",
+    oneSentence: "A TikTok LIVE interactive game. Chat calls coordinates to hunt a hidden fleet.",
+    howToPlay: [
+      "Type !join to join the hunt.",
+      "Type a coordinate like A4 (or !fire A4) to fire.",
+      "Sink a ship with the final hit; earlier hits on it count as assists.",
+      "Likes charge radar scans; gifts trigger the effects listed below.",
+      "Most hits when the timer ends wins the round.",
+    ],
+    commands: (c) => ({ join: c.teamMode.enabled ? `!join ${c.teamMode.teams[0].id}` : "!join", fire: "!fire A4" }),
+    // Gift rules: every rule naming the gift (name or id) fires; otherwise the highest
+    // minDiamonds tier at or below the gift's diamond value does. Combos repeat the effect.
+    // In team mode a rule can be limited to one team's gifters (`team`) and can hand
+    // shots/shields/multipliers to the whole team (`target: "team"`).
+    defaults: {
+      ships: [
+        { name: "Carrier", length: 5 },
+        { name: "Battleship", length: 4 },
+        { name: "Cruiser", length: 3 },
+        { name: "Submarine", length: 3 },
+        { name: "Destroyer", length: 2 },
+      ],
+      teamMode: {
+        enabled: false,
+        teams: TEAM_PALETTE.slice(0, 2),
+        autoBalance: true,
+        winnerFlash: true,
+      },
+      giftRules: [
+        { gift: "Rose", effect: "radarScan", amount: 1 },
+        { minDiamonds: 0, effect: "airstrike", amount: 1 },
+        { minDiamonds: 5, effect: "extraShots", amount: 5 },
+        { minDiamonds: 30, effect: "rowStrike", amount: 1 },
+        { minDiamonds: 100, effect: "columnStrike", amount: 2 },
+        { minDiamonds: 500, effect: "multiplier", amount: 2 },
+        { minDiamonds: 1000, effect: "timeExtension", amount: 30 },
+      ],
+    },
+    schema: {
+      type: "object",
+      properties: {
+        ships: {
+          type: "array",
+          minItems: 1,
+          maxItems: 12,
+          items: {
+            type: "object",
+            required: ["length"],
+            properties: {
+              name: { type: "string" },
+              length: { type: "integer", minimum: 1, maximum: 8, description: "Cells; longer than the grid is cut to fit" },
+            },
+          },
+        },
+        giftRules: {
+          type: "array",
+          maxItems: 30,
+          items: {
+            type: "object",
+            required: ["effect"],
+            properties: {
+              gift: { type: "string", description: "Gift name or id; omit for a diamond tier" },
+              minDiamonds: { type: "integer", minimum: 0, maximum: 100000 },
+              effect: { enum: GIFT_EFFECTS },
+              amount: { type: "integer", minimum: 1, maximum: 120 },
+              team: { type: "string", description: "Team id; only gifters on that team trigger the rule" },
+              target: { enum: ["self", "team"] },
+            },
+          },
+        },
+        teamMode: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            teams: { type: "array", minItems: 2, maxItems: 4, items: TEAM_SCHEMA },
+            autoBalance: { type: "boolean", description: "Place viewers without a pick on the smallest team and keep teams within one player" },
+            winnerFlash: { type: "boolean", description: "Announce the winning team at the end of each round" },
+          },
+        },
+      },
+    },
+    prompt: `grid-strike: gridStrike { ships: [{ name, length 1-8 }] (the fleet; at most half of gridSize² cells), giftRules: [{ gift? (name or id) | minDiamonds?, effect: ${GIFT_EFFECTS.join("|")}, amount, team?, target?: self|team }], teamMode: { enabled, teams: [{ id, name, color, emoji } x2-4], autoBalance, winnerFlash } } (grid size is defaultSettings.gridSize)`,
+    maxWinGoal: (block) => fleetCells(block.ships),
+    normalize(f, { defaultSettings }) {
+      const teamMode = f.obj("teamMode", (t) => {
+        t.bool("enabled");
+        dedupeTeamIds(t, t.list("teams", 2, 4, (it, p) => teamItem(t, it, p)), "gridStrike.teamMode.teams");
+        t.bool("autoBalance");
+        t.bool("winnerFlash");
+      });
+      const teamIds = teamMode.teams.map((t) => t.id);
+      // A bare number is a ship length; unnamed ships get the classic name for their size.
+      const grid = defaultSettings.gridSize;
+      const maxLength = Math.min(8, grid);
+      const ships = f.list("ships", 1, 12, (it, p) => {
+        const ship = typeof it === "number" ? { length: it } : it;
+        if (!ship || typeof ship !== "object" || Array.isArray(ship)) return f.drop(p, "Must be an object or a length");
+        if (!Number.isFinite(Number(ship.length))) return f.drop(`${p}.length`, "Must be a number");
+        const length = Math.max(1, Math.min(maxLength, Math.round(Number(ship.length))));
+        if (length !== ship.length) f.warn(`${p}.length`, `Set to ${length} (1-${maxLength})`);
+        const name = safeStr(ship.name ?? "", 24) || SHIP_NAMES[length] || `Ship ${length}`;
+        return { name, length };
+      });
+      // Random placement needs room to spare: the fleet may cover at most half the grid,
+      // so every ship listed in How to Play is really on the board.
+      const room = Math.floor((grid * grid) / 2);
+      let kept = 0;
+      for (let cells = 0; kept < ships.length && cells + ships[kept].length <= room; kept++) cells += ships[kept].length;
+      if (kept < ships.length) {
+        f.warn("gridStrike.ships", `${fleetCells(ships)} cells is more than half of the ${grid}x${grid} grid (${room}); kept the first ${kept} ship(s)`);
+        ships.length = kept;
+      }
+      f.list("giftRules", 0, 30, (it, p) => {
+        if (!it || typeof it !== "object" || Array.isArray(it)) return f.drop(p, "Must be an object");
+        if (!GIFT_EFFECTS.includes(it.effect)) return f.drop(`${p}.effect`, `Unknown effect "${safeStr(it.effect, 40)}"`);
+        const gift = safeStr(it.gift ?? "", 60);
+        const amount = Math.max(1, Math.min(120, Math.round(Number(it.amount ?? 1)) || 1));
+        if (it.amount != null && amount !== it.amount) f.warn(`${p}.amount`, `Set to ${amount} (1-120)`);
+        const min = Math.max(0, Math.min(100000, Math.round(Number(it.minDiamonds ?? 0)) || 0));
+        if (!gift && it.minDiamonds != null && min !== it.minDiamonds) f.warn(`${p}.minDiamonds`, `Set to ${min}`);
+        const rule = gift ? { gift, effect: it.effect, amount } : { minDiamonds: min, effect: it.effect, amount };
+        if (it.team != null) {
+          const team = safeStr(it.team, 24).toLowerCase();
+          if (!teamIds.includes(team)) return f.drop(`${p}.team`, `Unknown team "${team}"`);
+          rule.team = team;
+        }
+        if (it.target != null && it.target !== "self") {
+          if (it.target === "team") rule.target = "team";
+          else f.warn(`${p}.target`, `Unknown target "${safeStr(it.target, 20)}"; using self`);
+        }
+        return rule;
+      });
+    },
+  },
+  trivia: {
+    key: "trivia",
+    oneSentence: "A TikTok LIVE trivia show. Chat races to answer multiple-choice questions.",
+    howToPlay: [
+      "Answer with the letter (A, B, C or D) before the bar runs out.",
+      "One answer per question. Faster correct answers score more.",
+      "Likes remove a wrong answer; gifts double your points.",
+      "Most points when the timer ends wins the round.",
+    ],
+    commands: { join: "!join", fire: "A / B / C / D" },
+    defaults: {
+      questions: [
+        { q: "Which planet is known as the Red Planet?", choices: ["Venus", "Mars", "Jupiter", "Mercury"], answer: 1 },
+        { q: "How many legs does a spider have?", choices: ["6", "8", "10", "12"], answer: 1 },
+        { q: "What is the largest ocean on Earth?", choices: ["Atlantic", "Indian", "Arctic", "Pacific"], answer: 3 },
+        { q: "Which gas do plants absorb from the air?", choices: ["Oxygen", "Nitrogen", "Carbon dioxide", "Helium"], answer: 2 },
+      ],
+      secondsPerQuestion: 15,
+      pointsCorrect: 10,
+      speedBonus: 5,
+      likesPerHint: 100,
+    },
+    schema: {
+      type: "object",
+      properties: {
+        questions: {
+          type: "array",
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: "object",
+            required: ["q", "choices", "answer"],
+            properties: {
+              q: { type: "string", maxLength: 200 },
+              choices: { type: "array", minItems: 2, maxItems: 4, items: { type: "string", maxLength: 80 } },
+              answer: { type: "integer", minimum: 0, maximum: 3, description: "Index into choices." },
+            },
+          },
+        },
+        secondsPerQuestion: { type: "integer", minimum: 5, maximum: 120 },
+        pointsCorrect: { type: "integer", minimum: 1, maximum: 1000 },
+        speedBonus: { type: "integer", minimum: 0, maximum: 1000 },
+        likesPerHint: { type: "integer", minimum: 0, maximum: 100000, description: "Likes that remove a wrong choice; 0 disables." },
+      },
+    },
+    prompt: "trivia: { questions: [{ q, choices: 2-4 strings, answer: index }], secondsPerQuestion, pointsCorrect, speedBonus, likesPerHint }",
+    normalize(f) {
+      f.list("questions", 1, 50, (it, p) => {
+        const q = safeStr(it?.q ?? it?.question, 200);
+        const choices = (Array.isArray(it?.choices) ? it.choices : []).map((c) => safeStr(c, 80)).filter(Boolean);
+        if (!q || choices.length < 2) return f.drop(p, "Needs q and at least 2 choices");
+        if (choices.length > 4) f.warn(p, "Only the first 4 choices kept");
+        let answer = it.answer;
+        if (typeof answer === "string") {
+          const a = answer.trim();
+          answer = /^[A-Da-d]$/.test(a) ? a.toUpperCase().charCodeAt(0) - 65 : choices.findIndex((c) => c.toLowerCase() === a.toLowerCase());
+          f.warn(`${p}.answer`, "Converted to a choice index");
+        }
+        if (!Number.isInteger(answer) || answer < 0 || answer >= Math.min(4, choices.length)) return f.drop(p, "answer must index into choices");
+        return { q, choices: choices.slice(0, 4), answer };
+      });
+      f.num("secondsPerQuestion", 5, 120);
+      f.num("pointsCorrect", 1, 1000);
+      f.num("speedBonus", 0, 1000);
+      f.num("likesPerHint", 0, 100000);
+    },
+  },
+  "tug-of-war": {
+    key: "tugOfWar",
+    oneSentence: "A TikTok LIVE tug of war. Pick a team and chat to pull the rope your way.",
+    howToPlay: [
+      "Type !join red or !join blue (or just the team name) to pick a side.",
+      "Every chat message pulls the rope toward your team.",
+      "Likes add a little pull; gifts are a MEGA pull.",
+      "Drag the knot to your end (or lead at the buzzer) to win the round.",
+    ],
+    commands: (c) => ({ join: `!join ${c.teams[0].id}`, fire: "chat to pull" }),
+    defaults: {
+      teams: TEAM_PALETTE.slice(0, 2),
+      pullPerChat: 1,
+      pullPerLike: 0.1,
+      pullPerGift: 5,
+      winDistance: 100,
+      chatCooldownMs: 700,
+    },
+    schema: {
+      type: "object",
+      properties: {
+        teams: {
+          type: "array",
+          minItems: 2,
+          maxItems: 2,
+          items: TEAM_SCHEMA,
+        },
+        pullPerChat: { type: "number", minimum: 0, maximum: 100 },
+        pullPerLike: { type: "number", minimum: 0, maximum: 100 },
+        pullPerGift: { type: "number", minimum: 0, maximum: 1000 },
+        winDistance: { type: "number", minimum: 5, maximum: 10000 },
+        chatCooldownMs: { type: "integer", minimum: 0, maximum: 10000 },
+      },
+    },
+    prompt: "tug-of-war: tugOfWar { teams: [{ id, name, color, emoji } x2], pullPerChat, pullPerLike, pullPerGift, winDistance, chatCooldownMs }",
+    normalize(f) {
+      dedupeTeamIds(f, f.list("teams", 2, 2, (it, p) => teamItem(f, it, p)), "tugOfWar.teams");
+      f.num("pullPerChat", 0, 100, false);
+      f.num("pullPerLike", 0, 100, false);
+      f.num("pullPerGift", 0, 1000, false);
+      f.num("winDistance", 5, 10000, false);
+      f.num("chatCooldownMs", 0, 10000);
+    },
+  },
+  "chat-race": {
+    key: "chatRace",
+    oneSentence: "A TikTok LIVE race. Every chat message drives your racer toward the finish line.",
+    howToPlay: [
+      "Chat to drive your racer forward.",
+      "Likes nudge you ahead; gifts fire the nitro.",
+      "First across the finish line wins the round.",
+    ],
+    commands: (c) => ({ join: "!join", fire: c.keyword || "chat to drive" }),
+    defaults: { trackLength: 100, keyword: "", boostPerChat: 4, boostPerLike: 0.2, boostPerGift: 10, chatCooldownMs: 600, lanes: 8, racerEmoji: "🏎️" },
+    schema: {
+      type: "object",
+      properties: {
+        trackLength: { type: "number", minimum: 10, maximum: 10000 },
+        keyword: { type: "string", maxLength: 24, description: "Only chat starting with this word moves; empty = any chat." },
+        boostPerChat: { type: "number", minimum: 0, maximum: 1000 },
+        boostPerLike: { type: "number", minimum: 0, maximum: 1000 },
+        boostPerGift: { type: "number", minimum: 0, maximum: 10000 },
+        chatCooldownMs: { type: "integer", minimum: 0, maximum: 10000 },
+        lanes: { type: "integer", minimum: 3, maximum: 12 },
+        racerEmoji: { type: "string" },
+      },
+    },
+    prompt: "chat-race: chatRace { trackLength, keyword (empty = any chat), boostPerChat, boostPerLike, boostPerGift, chatCooldownMs, lanes, racerEmoji }",
+    normalize(f) {
+      f.num("trackLength", 10, 10000, false);
+      f.text("keyword", 24);
+      f.num("boostPerChat", 0, 1000, false);
+      f.num("boostPerLike", 0, 1000, false);
+      f.num("boostPerGift", 0, 10000, false);
+      f.num("chatCooldownMs", 0, 10000);
+      f.num("lanes", 3, 12);
+      f.text("racerEmoji", 16);
+    },
+  },
+  poll: {
+    key: "poll",
+    oneSentence: "A TikTok LIVE poll. Chat votes and the results update live on screen.",
+    howToPlay: [
+      "Vote with the option number (1, 2, 3…) or !vote 2.",
+      "You can change your vote until the timer ends.",
+      "Gifts add extra votes to your choice.",
+      "The leading option when the timer ends wins.",
+    ],
+    commands: { join: "!join", fire: "!vote 1" },
+    defaults: {
+      questions: [
+        { question: "What should we play next?", options: ["Trivia", "Race", "Tug of war"] },
+        { question: "Pineapple on pizza?", options: ["Yes", "No", "Only on Fridays"] },
+      ],
+      allowChange: true,
+      giftWeight: 5,
+    },
+    schema: {
+      type: "object",
+      properties: {
+        questions: {
+          type: "array",
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: "object",
+            required: ["question", "options"],
+            properties: {
+              question: { type: "string", maxLength: 200 },
+              options: { type: "array", minItems: 2, maxItems: 6, items: { type: "string", maxLength: 60 } },
+            },
+          },
+        },
+        allowChange: { type: "boolean" },
+        giftWeight: { type: "integer", minimum: 0, maximum: 1000, description: "Extra votes per gift; 0 disables." },
+      },
+    },
+    prompt: "poll: poll { questions: [{ question, options: 2-6 strings }] (one per round), allowChange, giftWeight }",
+    normalize(f) {
+      f.list("questions", 1, 50, (it, p) => {
+        const question = safeStr(it?.question ?? it?.q, 200);
+        const options = (Array.isArray(it?.options) ? it.options : []).map((o) => safeStr(o, 60)).filter(Boolean);
+        if (!question || options.length < 2) return f.drop(p, "Needs a question and at least 2 options");
+        if (options.length > 6) f.warn(p, "Only the first 6 options kept");
+        return { question, options: options.slice(0, 6) };
+      });
+      f.bool("allowChange");
+      f.num("giftWeight", 0, 1000);
+    },
+  },
+  "word-guess": {
+    key: "wordGuess",
+    oneSentence: "A TikTok LIVE word game. Letters reveal over time; chat races to guess the word.",
+    howToPlay: [
+      "Type your guess for the hidden word (or !guess WORD).",
+      "A letter is revealed every few seconds — guess early for more points.",
+      "Likes and gifts reveal extra letters.",
+      "Most points when the timer ends wins the round.",
+    ],
+    commands: { join: "!join", fire: "!guess WORD" },
+    defaults: {
+      words: [
+        { word: "RAINBOW", hint: "Seen after the rain" },
+        { word: "VOLCANO", hint: "A mountain with a temper" },
+        { word: "PENGUIN", hint: "A bird that can't fly" },
+        { word: "GUITAR", hint: "Six strings" },
+      ],
+      revealEverySeconds: 8,
+      likesPerReveal: 100,
+      pointsBase: 5,
+      pointsPerHidden: 2,
+    },
+    schema: {
+      type: "object",
+      properties: {
+        words: {
+          type: "array",
+          minItems: 1,
+          maxItems: 200,
+          items: {
+            type: "object",
+            required: ["word"],
+            properties: { word: { type: "string", pattern: "^[A-Z0-9 '-]{2,24}$" }, hint: { type: "string", maxLength: 120 } },
+          },
+        },
+        revealEverySeconds: { type: "integer", minimum: 2, maximum: 120 },
+        likesPerReveal: { type: "integer", minimum: 0, maximum: 100000 },
+        pointsBase: { type: "integer", minimum: 0, maximum: 1000 },
+        pointsPerHidden: { type: "integer", minimum: 0, maximum: 1000 },
+      },
+    },
+    prompt: "word-guess: wordGuess { words: [{ word (A-Z, 2-24 chars), hint }], revealEverySeconds, likesPerReveal, pointsBase, pointsPerHidden }",
+    normalize(f) {
+      f.list("words", 1, 200, (it, p) => {
+        const item = typeof it === "string" ? { word: it } : it;
+        const word = safeStr(item?.word, 40).toUpperCase();
+        if (!/^[A-Z0-9 '-]{2,24}$/.test(word) || !/[A-Z]/.test(word)) return f.drop(p, "word must be 2-24 letters");
+        return { word, hint: safeStr(item.hint, 120) };
+      });
+      f.num("revealEverySeconds", 2, 120);
+      f.num("likesPerReveal", 0, 100000);
+      f.num("pointsBase", 0, 1000);
+      f.num("pointsPerHidden", 0, 1000);
+    },
+  },
+};
+
+// Field helpers handed to an archetype's normalize(); they write into `block` and report
+// problems as `<key>.<field>`. Missing fields take the archetype default.
+function archetypeFields(key, block, defaults, err, warn) {
+  const at = (k) => `${key}.${k}`;
+  const fallback = (k) => (block[k] = structuredClone(defaults[k]));
+  return {
+    warn: (p, message) => warn(p, message),
+    drop(p, message) {
+      warn(p, `${message}; dropped`);
+      return null;
+    },
+    num(k, min, max, integer = true) {
+      const v = block[k];
+      if (v == null || v === "") return fallback(k);
+      const n = Number(v);
+      if (typeof v === "boolean" || !Number.isFinite(n)) {
+        err(at(k), "Must be a number");
+        return fallback(k);
+      }
+      const out = Math.max(min, Math.min(max, integer ? Math.round(n) : n));
+      if (out !== n) warn(at(k), `Clamped to ${out} (${min}-${max})`);
+      return (block[k] = out);
+    },
+    text(k, max) {
+      const v = block[k];
+      if (v == null) return fallback(k);
+      if (typeof v !== "string") {
+        err(at(k), "Must be a string");
+        return fallback(k);
+      }
+      return (block[k] = safeStr(v, max));
+    },
+    bool(k) {
+      const v = block[k];
+      if (v == null) return fallback(k);
+      if (typeof v !== "boolean") warn(at(k), "Converted to boolean");
+      return (block[k] = v === true || v === "true" || v === 1);
+    },
+    obj(k, normalize) {
+      const v = block[k];
+      if (v == null) return fallback(k);
+      if (typeof v !== "object" || Array.isArray(v)) {
+        err(at(k), "Must be an object");
+        return fallback(k);
+      }
+      const inner = { ...v };
+      normalize(archetypeFields(at(k), inner, defaults[k], err, warn), inner);
+      return (block[k] = inner);
+    },
+    list(k, min, max, mapItem) {
+      const v = block[k];
+      if (v == null) return fallback(k);
+      if (!Array.isArray(v)) {
+        err(at(k), "Must be an array");
+        return fallback(k);
+      }
+      let items = v.map((it, i) => mapItem(it, `${at(k)}[${i}]`)).filter(Boolean);
+      if (items.length > max) {
+        warn(at(k), `Only the first ${max} kept`);
+        items = items.slice(0, max);
+      }
+      if (items.length < min) {
+        warn(at(k), `Needs at least ${min} valid item(s); defaults used`);
+        return fallback(k);
+      }
+      return (block[k] = items);
+    },
+  };
+}
 
-theme: ${JSON.stringify(theme)}
-prompt: ${JSON.stringify(prompt)}
-`.trim();
+function archetypeCommands(arch, block) {
+  return typeof arch.commands === "function" ? arch.commands(block) : { ...arch.commands };
+}
 
-      const r = await openaiJson({ model, system, user, timeoutMs: 60000, temperature: 0.35 });
-      if (r.ok) spec = r.json;
-      else {
-        usedFallback = true;
-        spec = fallbackSpecFromIdea(prompt, theme);
+// Stream-level rules shared by every archetype (spec.live). Follow/share rewards replay an
+// archetype input for the viewer: "gift" counts as `amount` gifts, "likes" as `amount` likes.
+// Viewer count raises the difficulty level (one per viewersPerLevel, up to maxLevel); each
+// level scales the archetype's targets by scalePerLevel when the next round starts.
+const LIVE_REWARD_EFFECTS = ["gift", "likes", "none"];
+const LIVE_DEFAULTS = {
+  followReward: { effect: "gift", amount: 1 },
+  shareReward: { effect: "likes", amount: 50 },
+  viewersPerLevel: 50,
+  maxLevel: 4,
+  scalePerLevel: 0.25,
+};
+const LIVE_REWARD_SCHEMA = {
+  type: "object",
+  properties: { effect: { enum: LIVE_REWARD_EFFECTS }, amount: { type: "integer", minimum: 0, maximum: 1000 } },
+};
+const LIVE_SCHEMA = {
+  type: "object",
+  properties: {
+    followReward: LIVE_REWARD_SCHEMA,
+    shareReward: LIVE_REWARD_SCHEMA,
+    viewersPerLevel: { type: "integer", minimum: 1, maximum: 100000 },
+    maxLevel: { type: "integer", minimum: 0, maximum: 10 },
+    scalePerLevel: { type: "number", minimum: 0, maximum: 2 },
+  },
+};
+
+function normalizeLiveBlock(block, err, warn) {
+  const f = archetypeFields("live", block, LIVE_DEFAULTS, err, warn);
+  f.num("viewersPerLevel", 1, 100000);
+  f.num("maxLevel", 0, 10);
+  f.num("scalePerLevel", 0, 2, false);
+
+  for (const k of ["followReward", "shareReward"]) {
+    f.obj(k, (r, reward) => {
+      r.text("effect", 20);
+      if (!LIVE_REWARD_EFFECTS.includes(reward.effect)) {
+        r.warn(`live.${k}.effect`, `Unknown effect "${reward.effect}"; using ${LIVE_DEFAULTS[k].effect}`);
+        reward.effect = LIVE_DEFAULTS[k].effect;
       }
-    } else {
-      usedFallback = true;
-      spec = fallbackSpecFromIdea(prompt, theme);
-    }
-
-    res.json({ ok: true, requestId, echoPrompt: prompt, spec, usedFallback });
-  } catch (err) {
-    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Plan failed" });
+      r.num("amount", 0, 1000);
+    });
   }
-});
+  return block;
+}
 
-app.post("/api/build", noStore, async (req, res) => {
-  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
-  try {
-    const target = safeStr(req.body?.target || "", 50);
-    assert(["index.html", "style.css", "game.js"].includes(target), "Invalid target");
+// Match structure (spec.rounds): lobby (LIVE only, viewers !join) -> countdown -> round ->
+// intermission -> ... -> results after `count` rounds. 0 seconds skips a lobby/countdown/break.
+const ROUNDS_DEFAULTS = { count: 3, lobbySeconds: 15, countdownSeconds: 3, intermissionSeconds: 8 };
+const ROUNDS_SCHEMA = {
+  type: "object",
+  properties: {
+    count: { type: "integer", minimum: 1, maximum: 20, description: "Rounds per match" },
+    lobbySeconds: { type: "integer", minimum: 0, maximum: 300, description: "Join window before the first LIVE round" },
+    countdownSeconds: { type: "integer", minimum: 0, maximum: 10 },
+    intermissionSeconds: { type: "integer", minimum: 0, maximum: 120 },
+  },
+};
+
+function normalizeRoundsBlock(block, err, warn) {
+  const f = archetypeFields("rounds", block, ROUNDS_DEFAULTS, err, warn);
+  f.num("count", 1, 20);
+  f.num("lobbySeconds", 0, 300);
+  f.num("countdownSeconds", 0, 10);
+  f.num("intermissionSeconds", 0, 120);
+  return block;
+}
 
-    const prompt = safeStr(req.body?.prompt || "", 40000);
-    assert(prompt, "Missing prompt");
+// Who may run the match from chat (spec.host): TikTok user ids or @usernames. Hosts can use
+// every command (!pause, !resume, !skip, !addtime 30, !reset), moderators all but !reset.
+const HOST_DEFAULTS = { hostIds: [], modIds: [] };
+const HOST_IDS_SCHEMA = { type: "array", maxItems: 50, items: { type: "string", description: "TikTok user id or @username" } };
+const HOST_SCHEMA = {
+  type: "object",
+  properties: { hostIds: HOST_IDS_SCHEMA, modIds: HOST_IDS_SCHEMA },
+};
+
+function normalizeHostBlock(block, err, warn) {
+  const f = archetypeFields("host", block, HOST_DEFAULTS, err, warn);
+  for (const k of ["hostIds", "modIds"]) {
+    f.list(k, 0, 50, (it, p) => {
+      const id = typeof it === "string" || typeof it === "number" ? safeStr(String(it), 64).replace(/^@/, "").toLowerCase() : "";
+      return id || f.drop(p, "Must be a user id or @username");
+    });
+  }
+  return block;
+}
 
-    const theme = normalizeTheme(req.body?.theme || {});
-    const builderRules = safeStr(req.body?.builderRules || "", 80000);
-    const spec = req.body?.spec && typeof req.body.spec === "object" ? req.body.spec : fallbackSpecFromIdea(prompt, theme);
-
-    const contextFiles = req.body?.contextFiles && typeof req.body.contextFiles === "object" ? req.body.contextFiles : {};
-
-    const client = getOpenAIClient();
-    if (!client) {
-      // Minimal fallback per-file
-      if (target === "index.html") {
-        let html = `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1, viewport-fit=cover" />
-  <title>${safeStr(spec.title || "ChatTok Game", 120)}</title>
-  <link rel="stylesheet" href="style.css" />
-</head>
-<body>
-  <section id="settingsScreen">
-    <h1>${safeStr(spec.title || "ChatTok Game", 120)}</h1>
-    <input id="liveIdInput" placeholder="TikTok Live ID" />
-    <button id="btnConnect">Connect</button>
-    <label><input id="offlineToggle" type="checkbox" /> Offline/Test</label>
-    <button id="btnStart" disabled>Start</button>
-  </section>
-
-  <section id="gameScreen" style="display:none;">
-    <canvas id="gameCanvas" width="720" height="1280"></canvas>
-  </section>
-
-${REQUIRED_SCRIPT_BLOCK}
-</body>
-</html>`;
-        html = ensureCssLink(ensureTikTokScriptOrder(html));
-        return res.json({ ok: true, requestId, echoPrompt: prompt, fileName: "index.html", content: html });
-      }
-
-      if (target === "style.css") {
-        const css = `:root{--p:${theme.primary};--s:${theme.secondary};--bg:${theme.bg};--text:${theme.text};}
-body{margin:0;background:var(--bg);color:var(--text);font-family:system-ui,Segoe UI,Roboto,Arial,sans-serif;}
-canvas{width:100%;height:auto;display:block;}`;
-        return res.json({ ok: true, requestId, echoPrompt: prompt, fileName: "style.css", content: css });
-      }
-
-      if (target === "game.js") {
-        const js = `console.log("game.js loaded (fallback)");`;
-        return res.json({ ok: true, requestId, echoPrompt: prompt, fileName: "game.js", content: js });
-      }
-    }
-
-    const model = String(process.env.OPENAI_MODEL_BUILD || "gpt-4o-mini").trim();
-    const system = buildSystemRules(builderRules);
+const SPEC_ARCHETYPES = Object.keys(ARCHETYPES);
+const SETTING_TYPES = ["checkbox", "range", "number", "text"];
+
+const SPEC_DEFAULT_SETTINGS = { roundSeconds: 60, winGoal: 20, gridSize: 10 };
+// The ranges the template and archetypes enforce at runtime; settings controls use them too.
+const SPEC_SETTING_LIMITS = { roundSeconds: [10, 600], winGoal: [5, 999], gridSize: [6, 14] };
+
+const SPEC_JSON_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `https://chattokapps.com/schemas/game-spec/v${SPEC_SCHEMA_VERSION}.json`,
+  title: "ChatTok game spec",
+  type: "object",
+  required: ["schemaVersion", "title", "oneSentence", "archetype", "howToPlay", "commands", "defaultSettings", "settings"],
+  properties: {
+    schemaVersion: { const: SPEC_SCHEMA_VERSION },
+    title: { type: "string", minLength: 1, maxLength: 120 },
+    subtitle: { type: "string", maxLength: 160 },
+    oneSentence: { type: "string", minLength: 1, maxLength: 300, description: "Replaces v1 `oneLiner`." },
+    archetype: { type: "string", enum: SPEC_ARCHETYPES },
+    howToPlay: { type: "array", maxItems: 12, items: { type: "string", maxLength: 300 } },
+    commands: {
+      type: "object",
+      required: ["join", "fire"],
+      properties: { join: { type: "string" }, fire: { type: "string" } },
+      additionalProperties: { type: "string" },
+    },
+    defaultSettings: {
+      type: "object",
+      properties: Object.fromEntries(Object.entries(SPEC_SETTING_LIMITS).map(([k, [min, max]]) => [k, { type: "integer", minimum: min, maximum: max }])),
+      additionalProperties: { type: ["number", "boolean", "string"] },
+    },
+    settings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "type", "label"],
+        properties: {
+          id: { type: "string", pattern: "^[A-Za-z][\\w-]*$" },
+          type: { enum: SETTING_TYPES },
+          label: { type: "string" },
+          default: { type: ["boolean", "number", "string"] },
+          min: { type: "number" },
+          max: { type: "number" },
+          step: { type: "number", exclusiveMinimum: 0 },
+        },
+      },
+    },
+    visuals: {
+      type: "object",
+      properties: { hitEmoji: { type: "string" }, missEmoji: { type: "string" }, scanEmoji: { type: "string" } },
+      additionalProperties: { type: "string" },
+    },
+    scoring: {
+      type: "object",
+      description: "Points per event (chat, like, social, giftPerDiamond, hit, ...); `notes` holds free text.",
+      properties: { notes: { type: "string" } },
+      additionalProperties: { type: "number" },
+    },
+    rounds: ROUNDS_SCHEMA,
+    ...Object.fromEntries(Object.values(ARCHETYPES).map((a) => [a.key, a.schema])),
+    live: LIVE_SCHEMA,
+    host: HOST_SCHEMA,
+    theme: { type: "object", additionalProperties: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" } },
+    ui: { type: "object" },
+  },
+  additionalProperties: true,
+};
+
+// Each entry upgrades a spec from version N to N+1. Unversioned specs are treated as v1.
+const SPEC_MIGRATIONS = {
+  1(spec, warn) {
+    const s = { ...spec };
+    if (s.oneSentence == null && typeof s.oneLiner === "string") {
+      s.oneSentence = s.oneLiner;
+      warn("oneSentence", "Migrated from oneLiner");
+    }
+    // v1 plans often used `settings` for plain values ({ roundSeconds: 60 }) instead of UI controls.
+    if (s.settings && typeof s.settings === "object" && !Array.isArray(s.settings)) {
+      s.defaultSettings = { ...s.settings, ...(s.defaultSettings || {}) };
+      delete s.settings;
+      warn("settings", "Migrated settings object to defaultSettings");
+    }
+    if (typeof s.rounds === "number") {
+      s.rounds = { count: s.rounds };
+      warn("rounds", "Migrated rounds number to { count }");
+    }
+    if (s.rounds && typeof s.rounds === "object" && s.rounds.seconds != null) {
+      s.defaultSettings = { roundSeconds: s.rounds.seconds, ...(s.defaultSettings || {}) };
+      const { seconds: _seconds, ...rest } = s.rounds;
+      s.rounds = rest;
+      warn("rounds.seconds", "Migrated to defaultSettings.roundSeconds");
+    }
+    if (typeof s.howToPlay === "string") s.howToPlay = s.howToPlay.split(/\n+/);
+    if (typeof s.scoring === "string") s.scoring = { notes: s.scoring };
+    return { ...s, schemaVersion: 2 };
+  },
+};
+
+// `arch.maxWinGoal(block)` caps winGoal where the round ends on its own sooner (grid-strike:
+// once the fleet is sunk, so more hits than it has cells can never be reached).
+function settingRange(k, arch, block) {
+  const [min, max] = SPEC_SETTING_LIMITS[k];
+  const cap = k === "winGoal" && arch?.maxWinGoal ? Math.min(max, arch.maxWinGoal(block)) : max;
+  return { min: Math.min(min, cap), max: cap };
+}
 
-    const ctxHtml = safeStr(contextFiles?.["index.html"] || "", 180000);
-    const ctxCss = safeStr(contextFiles?.["style.css"] || "", 180000);
+function defaultSettingsList(defaults, archetype = "grid-strike", block = ARCHETYPES[archetype]?.defaults) {
+  return [
+    { id: "offlineToggle", type: "checkbox", label: "Offline/Test Mode", default: false },
+    { id: "sfxToggle", type: "checkbox", label: "Sound FX", default: true },
+    { id: "volume", type: "range", label: "Volume", min: 0, max: 100, default: 60 },
+    { id: "roundSeconds", type: "range", label: "Round length (s)", ...settingRange("roundSeconds"), step: 5, default: defaults.roundSeconds },
+    ...(archetype === "grid-strike" ? [{ id: "winGoal", type: "range", label: "Hits to win", ...settingRange("winGoal", ARCHETYPES[archetype], block), default: defaults.winGoal }] : []),
+  ];
+}
 
-    let user = "";
-    if (target === "index.html") {
-      user = `
-Generate ONLY index.html as JSON with exactly one key: "index.html".
-Hard requirements:
-- Must include <link rel="stylesheet" href="style.css">
-- Must include Settings + Game screen containers with clear IDs used by game.js
-- Start gated until connected OR offline/test mode toggle
-- Must include required script tags in exact dependency order before game.js
+function normalizeGameSpec(input, { theme } = {}) {
+  const errors = [];
+  const warnings = [];
+  const err = (p, message) => errors.push({ path: p, message });
+  const warn = (p, message) => warnings.push({ path: p, message });
+  const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
 
-theme: ${JSON.stringify(theme)}
-spec: ${JSON.stringify(spec)}
-prompt: ${JSON.stringify(prompt)}
-`.trim();
-    } else if (target === "style.css") {
-      user = `
-Generate ONLY style.css as JSON with exactly one key: "style.css".
-- No Tailwind CDN, no external libs
-- Styles must match the index.html structure below
+  if (!isObj(input)) {
+    err("", "Spec must be an object");
+    input = {};
+  }
 
-index.html:
-${JSON.stringify(ctxHtml)}
+  let s = structuredClone(input);
+  let from = Number.isInteger(s.schemaVersion) ? s.schemaVersion : 1;
+  if (from > SPEC_SCHEMA_VERSION) err("schemaVersion", `Unsupported schemaVersion ${from} (max ${SPEC_SCHEMA_VERSION})`);
+  if (from < 1) {
+    err("schemaVersion", `Unsupported schemaVersion ${from} (min 1)`);
+    from = 1; // still migrate/normalize so every other problem is reported too
+  }
+  for (let v = from; v < SPEC_SCHEMA_VERSION; v++) s = SPEC_MIGRATIONS[v](s, warn);
+  s.schemaVersion = SPEC_SCHEMA_VERSION;
+
+  const str = (p, max, fallback, required = false) => {
+    const v = s[p];
+    if (v == null || v === "") {
+      if (required) warn(p, "Missing; default used");
+      return fallback;
+    }
+    if (typeof v !== "string" && typeof v !== "number") {
+      err(p, "Must be a string");
+      return fallback;
+    }
+    const out = String(v).trim();
+    if (out.length > max) warn(p, `Truncated to ${max} characters`);
+    return out.slice(0, max) || fallback;
+  };
 
-theme: ${JSON.stringify(theme)}
-spec: ${JSON.stringify(spec)}
-prompt: ${JSON.stringify(prompt)}
-`.trim();
-    } else if (target === "game.js") {
-      user = `
-Generate ONLY game.js as JSON with exactly one key: "game.js".
-Hard requirements:
-- Follow the TikTok connect pattern (create client only after Connect; close old socket; setAccessToken; wire events)
-- Use MessagesClean fields in try/catch
-- Start gated until connected OR offline mode
-- Switch Settings -> Game on Start
-- Implement gameplay per spec/prompt
+  s.title = str("title", 120, "ChatTok Live Game", true);
+  s.subtitle = str("subtitle", 160, "Live Interactive");
+  s.oneSentence = str("oneSentence", 300, "Connect to TikTok LIVE and let chat control the action.", true);
+  delete s.oneLiner;
 
-index.html:
-${JSON.stringify(ctxHtml)}
+  if (s.archetype == null) s.archetype = SPEC_ARCHETYPES[0];
+  else if (!SPEC_ARCHETYPES.includes(s.archetype)) {
+    warn("archetype", `Unknown archetype "${safeStr(s.archetype, 60)}"; using ${SPEC_ARCHETYPES[0]}`);
+    s.archetype = SPEC_ARCHETYPES[0];
+  }
+  if (s.defaultSettings != null && !isObj(s.defaultSettings)) err("defaultSettings", "Must be an object");
+  const ds = { ...SPEC_DEFAULT_SETTINGS, ...(isObj(s.defaultSettings) ? s.defaultSettings : {}) };
+  const winGoalGiven = isObj(s.defaultSettings) && s.defaultSettings.winGoal != null;
+  for (const [k, [min, max]] of Object.entries(SPEC_SETTING_LIMITS)) {
+    const n = Number(ds[k]);
+    if (!Number.isFinite(n)) {
+      err(`defaultSettings.${k}`, "Must be a number");
+      ds[k] = SPEC_DEFAULT_SETTINGS[k];
+      continue;
+    }
+    const clamped = Math.max(min, Math.min(max, Math.round(n)));
+    if (clamped !== n) warn(`defaultSettings.${k}`, `Clamped to ${clamped} (${min}-${max})`);
+    ds[k] = clamped;
+  }
+  s.defaultSettings = ds;
+
+  // Archetype blocks come after defaultSettings: grid-strike sizes its fleet to the grid.
+  const arch = ARCHETYPES[s.archetype];
+  if (s[arch.key] != null && !isObj(s[arch.key])) err(arch.key, "Must be an object");
+  const block = isObj(s[arch.key]) ? { ...s[arch.key] } : {};
+  arch.normalize(archetypeFields(arch.key, block, arch.defaults, err, warn), { defaultSettings: ds });
+  const goal = settingRange("winGoal", arch, block);
+  if (ds.winGoal > goal.max) {
+    if (winGoalGiven) warn("defaultSettings.winGoal", `Clamped to ${goal.max} (the round ends once that many hits sink the fleet)`);
+    ds.winGoal = goal.max;
+  }
+  s[arch.key] = block;
 
-style.css:
-${JSON.stringify(ctxCss)}
+  if (s.howToPlay == null) s.howToPlay = [];
+  if (!Array.isArray(s.howToPlay)) {
+    err("howToPlay", "Must be an array of strings");
+    s.howToPlay = [];
+  }
+  s.howToPlay = s.howToPlay
+    .map((x, i) => {
+      if (typeof x === "string") return safeStr(x, 300);
+      warn(`howToPlay[${i}]`, "Converted to text");
+      return safeStr(isObj(x) ? Object.values(x).join(" ") : x, 300);
+    })
+    .filter(Boolean)
+    .slice(0, 12);
+
+  const strMap = (p, defaults) => {
+    const v = s[p];
+    if (v != null && !isObj(v)) err(p, "Must be an object");
+    const out = { ...defaults };
+    for (const [k, val] of Object.entries(isObj(v) ? v : {})) {
+      if (typeof val === "string" && val.trim()) out[k] = val.trim();
+      else warn(`${p}.${k}`, "Must be a non-empty string; dropped");
+    }
+    return out;
+  };
+  s.commands = strMap("commands", archetypeCommands(arch, s[arch.key]));
+  s.visuals = strMap("visuals", { hitEmoji: "💥", missEmoji: "🌊", scanEmoji: "🔎" });
 
-theme: ${JSON.stringify(theme)}
-spec: ${JSON.stringify(spec)}
-prompt: ${JSON.stringify(prompt)}
-`.trim();
+  if (s.settings == null) s.settings = defaultSettingsList(ds, s.archetype, block);
+  if (!Array.isArray(s.settings)) {
+    err("settings", "Must be an array");
+    s.settings = defaultSettingsList(ds, s.archetype, block);
+  }
+  const seen = new Set();
+  s.settings = s.settings
+    .map((it, i) => {
+      const p = `settings[${i}]`;
+      if (!isObj(it) || !/^[A-Za-z][\w-]*$/.test(String(it.id || ""))) {
+        err(p, "Needs an id matching ^[A-Za-z][\\w-]*$");
+        return null;
+      }
+      if (seen.has(it.id)) {
+        warn(p, `Duplicate id "${it.id}" dropped`);
+        return null;
+      }
+      seen.add(it.id);
+      let type = it.type;
+      if (!SETTING_TYPES.includes(type)) {
+        warn(`${p}.type`, `Unknown type "${safeStr(type, 40)}"; using text`);
+        type = "text";
+      }
+      const out = { id: String(it.id), type, label: safeStr(it.label || it.id, 80) };
+      if (type === "checkbox") out.default = !!it.default;
+      else if (type === "range" || type === "number") {
+        out.min = Number.isFinite(Number(it.min)) ? Number(it.min) : 0;
+        out.max = Number.isFinite(Number(it.max)) ? Number(it.max) : 100;
+        if (out.max < out.min) [out.min, out.max] = [out.max, out.min];
+        if (SPEC_SETTING_LIMITS[out.id]) {
+          // A control for a defaultSettings key cannot reach past what the game accepts.
+          const lim = settingRange(out.id, arch, block);
+          out.min = Math.min(Math.max(out.min, lim.min), lim.max);
+          out.max = Math.max(Math.min(out.max, lim.max), out.min);
+        }
+        out.step = Number(it.step) > 0 ? Number(it.step) : 1;
+        const d = Number(it.default ?? ds[it.id]);
+        out.default = Math.max(out.min, Math.min(out.max, Number.isFinite(d) ? d : out.min));
+      } else out.default = safeStr(it.default ?? "", 200);
+      return out;
+    })
+    .filter(Boolean);
+
+  if (s.scoring != null) {
+    if (!isObj(s.scoring)) {
+      err("scoring", "Must be an object");
+      s.scoring = {};
+    }
+    const scoring = {};
+    const notes = [];
+    for (const [k, v] of Object.entries(s.scoring)) {
+      if (k === "notes" && typeof v === "string") notes.push(v);
+      else if (typeof v === "number" && Number.isFinite(v)) scoring[k] = v;
+      else if (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) scoring[k] = Number(v);
+      else if (typeof v === "string") {
+        notes.push(`${k}: ${v}`);
+        warn(`scoring.${k}`, "Text moved to scoring.notes");
+      } else err(`scoring.${k}`, "Must be a number");
     }
+    if (notes.length) scoring.notes = safeStr(notes.join("\n"), 2000);
+    s.scoring = scoring;
+  }
 
-    const r = await openaiJson({ model, system, user, timeoutMs: 60000, temperature: 0.35 });
-    if (!r.ok) return res.status(500).json({ ok: false, requestId, echoPrompt: prompt, error: r.error || "Build failed" });
+  if (s.rounds != null && !isObj(s.rounds)) err("rounds", "Must be an object");
+  s.rounds = normalizeRoundsBlock(isObj(s.rounds) ? { ...s.rounds } : {}, err, warn);
 
-    let content = r.json?.[target];
-    if (typeof content !== "string") return res.status(500).json({ ok: false, requestId, echoPrompt: prompt, error: "AI JSON missing target key" });
+  if (s.live != null && !isObj(s.live)) err("live", "Must be an object");
+  s.live = normalizeLiveBlock(isObj(s.live) ? { ...s.live } : {}, err, warn);
 
-    if (target === "index.html") content = ensureCssLink(ensureTikTokScriptOrder(content));
+  if (s.host != null && !isObj(s.host)) err("host", "Must be an object");
+  s.host = normalizeHostBlock(isObj(s.host) ? { ...s.host } : {}, err, warn);
 
-    return res.json({ ok: true, requestId, echoPrompt: prompt, fileName: target, content });
-  } catch (err) {
-    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Build failed" });
-  }
-});
+  if (theme) s.theme = theme;
+  else if (s.theme != null) s.theme = normalizeTheme(isObj(s.theme) ? s.theme : {});
 
-app.post("/api/edit", noStore, async (req, res) => {
-  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
-  try {
-    const editPrompt = safeStr(req.body?.editPrompt || "", 30000);
-    assert(editPrompt, "Missing editPrompt");
+  // Canonical keys first, in schema order; extension keys (ui, sfx, ...) follow untouched.
+  const ordered = {};
+  for (const k of Object.keys(SPEC_JSON_SCHEMA.properties)) if (s[k] !== undefined) ordered[k] = s[k];
+  return { spec: Object.assign(ordered, s), errors, warnings, migratedFrom: from < SPEC_SCHEMA_VERSION ? from : undefined };
+}
 
-    const theme = normalizeTheme(req.body?.theme || {});
-    const builderRules = safeStr(req.body?.builderRules || "", 80000);
+// Specs posted by clients must not contain type errors; they get a 422 listing every problem.
+function assertValidSpec(raw, theme) {
+  const r = normalizeGameSpec(raw, { theme });
+  if (r.errors.length) {
+    const err = new Error(`Invalid spec: ${r.errors.length} error(s)`);
+    err.status = 422;
+    err.details = { errors: r.errors, warnings: r.warnings };
+    throw err;
+  }
+  return r;
+}
 
-    const files = req.body?.files;
-    assert(files && typeof files === "object", "Missing files");
-    assert(typeof files["index.html"] === "string", "Missing index.html");
-    assert(typeof files["style.css"] === "string", "Missing style.css");
+// Only the problems worth showing a client; undefined when the spec was already clean.
+function specIssues(r) {
+  if (!r.errors.length && !r.warnings.length && !r.migratedFrom) return undefined;
+  return { errors: r.errors, warnings: r.warnings, ...(r.migratedFrom ? { migratedFrom: r.migratedFrom } : {}) };
+}
+
+// Fields the plan prompt asks for, kept next to the schema so they cannot drift apart.
+function specPromptShape() {
+  return `
+schemaVersion: ${SPEC_SCHEMA_VERSION}
+title: string, subtitle: string, oneSentence: string (one-sentence pitch)
+archetype: one of ${SPEC_ARCHETYPES.join(", ")}; plus the block for that archetype:
+${Object.values(ARCHETYPES).map((a) => "  " + a.prompt).join("\n")}
+howToPlay: string[] (3-6 short steps)
+commands: { join, fire (the main chat action), ...other chat commands } (strings)
+defaultSettings: { ${Object.entries(SPEC_SETTING_LIMITS).map(([k, [min, max]]) => `${k} ${min}-${max}`).join(", ")} } (integers)
+settings: [{ id, type: ${SETTING_TYPES.join("|")}, label, default, min?, max?, step? }]
+visuals: { hitEmoji, missEmoji, scanEmoji }
+scoring: { chat?, like?, social?, giftPerDiamond?, hit?, ... numbers, notes?: string }
+rounds: { count, lobbySeconds, countdownSeconds, intermissionSeconds } (match: lobby -> countdown -> round -> intermission ... -> results)
+live: { followReward: { effect: ${LIVE_REWARD_EFFECTS.join("|")}, amount }, shareReward: { same }, viewersPerLevel, maxLevel, scalePerLevel } (follow/share rewards + viewer-count difficulty)
+host: { hostIds, modIds } (TikTok user ids or @usernames allowed to !pause, !resume, !skip, !addtime 30; only hosts may !reset)
+ui, sfx: free-form objects`.trim();
+}
+
+/* ===============================
+   Cross-file diagnostics
+   =============================== */
+
+function parseJs(code) {
+  return acorn.parse(String(code || ""), { ecmaVersion: "latest", sourceType: "script", locations: true, allowHashBang: true });
+}
+
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === "Literal" && typeof node.value === "string") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// Simple "#id" / ".cls" tokens from a selector string. Attribute selectors etc. are ignored.
+function selectorTokens(sel) {
+  const ids = [];
+  const classes = [];
+  for (const m of String(sel || "").matchAll(/([#.])(-?[_a-zA-Z][\w-]*)/g)) (m[1] === "#" ? ids : classes).push(m[2]);
+  return { ids, classes };
+}
+
+// id="..." / class="..." inside markup strings that JS injects via innerHTML / template literals.
+function markupTokens(text) {
+  const ids = [];
+  const classes = [];
+  for (const m of String(text || "").matchAll(/\bid\s*=\s*["']([^"'${}]+)["']/g)) ids.push(m[1].trim());
+  for (const m of String(text || "").matchAll(/\bclass\s*=\s*["']([^"']+)["']/g)) {
+    for (const c of m[1].replace(/\$\{[^}]*\}/g, " ").split(/\s+/)) if (/^-?[_a-zA-Z][\w-]*$/.test(c)) classes.push(c);
+  }
+  return { ids, classes };
+}
+
+function analyzeHtml(html) {
+  const root = parseHtml(String(html || ""), { comment: false, blockTextElements: { script: true, style: true } });
+  const ids = new Map(); // id -> tag
+  const classes = new Set();
+  const buttons = [];
+  const localRefs = new Set(); // ids referenced by the markup itself (label for, href="#x", aria-*)
+  const inlineCss = [];
+
+  for (const el of root.querySelectorAll("*")) {
+    const tag = el.rawTagName?.toLowerCase();
+    const id = el.getAttribute("id");
+    if (id) ids.set(id, tag);
+    for (const c of (el.getAttribute("class") || "").split(/\s+/)) if (c) classes.add(c);
+
+    const forId = el.getAttribute("for");
+    if (forId) localRefs.add(forId);
+    const href = el.getAttribute("href") || "";
+    if (href.startsWith("#")) localRefs.add(href.slice(1));
+    for (const k of ["aria-labelledby", "aria-describedby", "aria-controls", "list", "form"]) {
+      for (const v of (el.getAttribute(k) || "").split(/\s+/)) if (v) localRefs.add(v);
+    }
+
+    if (tag === "style") inlineCss.push(el.text);
+    if (tag === "button" || (tag === "input" && /^(button|submit)$/i.test(el.getAttribute("type") || ""))) {
+      buttons.push({
+        id: id || "",
+        classes: (el.getAttribute("class") || "").split(/\s+/).filter(Boolean),
+        label: safeStr(el.text || el.getAttribute("value") || "", 60),
+        inline: !!el.getAttribute("onclick"),
+      });
+    }
+  }
+
+  return { ids, classes, buttons, localRefs, inlineCss: inlineCss.join("\n") };
+}
+
+function cssSelectorsFrom(css) {
+  const ids = new Set();
+  const classes = new Set();
+  const clean = String(css || "").replace(/\/\*[\s\S]*?\*\//g, "");
+  // Only look at selector text (before each "{"), not at declarations like "width:.5em".
+  for (const m of clean.matchAll(/([^{}]+)\{/g)) {
+    if (/^\s*@(?!media|supports|container|layer)/.test(m[1])) continue;
+    const t = selectorTokens(m[1].replace(/\([^)]*\)/g, (x) => (x.includes(".") || x.includes("#") ? x : "")));
+    t.ids.forEach((x) => ids.add(x));
+    t.classes.forEach((x) => classes.add(x));
+  }
+  return { ids, classes };
+}
+
+function analyzeJs(code) {
+  const ast = parseJs(code);
+  const idRefs = []; // { id, line, via }
+  const classRefs = []; // { className, line }
+  const createdIds = new Set();
+  const createdClasses = new Set();
+  const idHelpers = new Set(); // e.g. const $ = (id) => document.getElementById(id)
+
+  const isGetById = (callee) => callee?.type === "MemberExpression" && !callee.computed && callee.property.name === "getElementById";
+
+  // First pass: find getElementById wrappers so `$("x")` counts as an ID lookup.
+  const noteHelper = (name, fn) => {
+    if (!name || !fn || !fn.params?.length || fn.params[0].type !== "Identifier") return;
+    const p = fn.params[0].name;
+    let wraps = false;
+    acornWalk.simple(fn.body, {
+      CallExpression(n) {
+        if (isGetById(n.callee) && n.arguments[0]?.type === "Identifier" && n.arguments[0].name === p) wraps = true;
+      },
+    });
+    if (wraps) idHelpers.add(name);
+  };
+  acornWalk.simple(ast, {
+    VariableDeclarator(n) {
+      if (n.id.type === "Identifier" && /Function/.test(n.init?.type || "")) noteHelper(n.id.name, n.init);
+    },
+    FunctionDeclaration(n) { noteHelper(n.id?.name, n); },
+  });
+
+  const addMarkup = (text, line) => {
+    const t = markupTokens(text);
+    t.ids.forEach((x) => createdIds.add(x));
+    t.classes.forEach((x) => { createdClasses.add(x); classRefs.push({ className: x, line }); });
+  };
+
+  acornWalk.full(ast, (n) => {
+    const line = n.loc?.start.line;
+
+    if (n.type === "CallExpression") {
+      const arg = stringValue(n.arguments[0]);
+      if (arg == null) return;
+      const callee = n.callee;
+
+      if (isGetById(callee)) idRefs.push({ id: arg, line, via: "getElementById" });
+      else if (callee.type === "Identifier" && idHelpers.has(callee.name)) idRefs.push({ id: arg, line, via: callee.name });
+      else if (callee.type === "MemberExpression" && !callee.computed) {
+        const prop = callee.property.name;
+        if (prop === "querySelector" || prop === "querySelectorAll" || prop === "closest" || prop === "matches") {
+          const t = selectorTokens(arg);
+          t.ids.forEach((id) => idRefs.push({ id, line, via: prop }));
+          t.classes.forEach((className) => classRefs.push({ className, line }));
+        } else if (prop === "getElementsByClassName") {
+          arg.split(/\s+/).filter(Boolean).forEach((className) => classRefs.push({ className, line }));
+        } else if (callee.object?.type === "MemberExpression" && callee.object.property?.name === "classList" && ["add", "remove", "toggle", "contains", "replace"].includes(prop)) {
+          for (const a of n.arguments) {
+            const v = stringValue(a);
+            if (v) { classRefs.push({ className: v, line }); createdClasses.add(v); }
+          }
+        } else if (prop === "setAttribute" && (arg === "id" || arg === "class")) {
+          const v = stringValue(n.arguments[1]);
+          if (v && arg === "id") createdIds.add(v);
+          if (v && arg === "class") v.split(/\s+/).filter(Boolean).forEach((c) => { createdClasses.add(c); classRefs.push({ className: c, line }); });
+        }
+      }
+      return;
+    }
+
+    if (n.type === "AssignmentExpression" && n.left.type === "MemberExpression" && !n.left.computed) {
+      const prop = n.left.property.name;
+      if (prop === "id") {
+        const v = stringValue(n.right);
+        if (v) createdIds.add(v);
+      } else if (prop === "className") {
+        const v = stringValue(n.right);
+        if (v) v.split(/\s+/).filter(Boolean).forEach((c) => { createdClasses.add(c); classRefs.push({ className: c, line }); });
+      }
+      return;
+    }
+
+    if (n.type === "TemplateLiteral") addMarkup(n.quasis.map((q) => q.value.cooked).join(" "), line);
+    else if (n.type === "Literal" && typeof n.value === "string" && /<[a-z]/i.test(n.value)) addMarkup(n.value, line);
+  });
+
+  return { idRefs, classRefs, createdIds, createdClasses };
+}
+
+// Files are kept exactly as given (patches and diffs need the original text); oversize ones are rejected.
+const MAX_FILE_CHARS = 400000;
+function pickFiles(files) {
+  const out = {};
+  if (!files || typeof files !== "object") return out;
+  for (const k of BUILD_ORDER) {
+    if (typeof files[k] !== "string") continue;
+    assert(files[k].length <= MAX_FILE_CHARS, `${k} is larger than ${MAX_FILE_CHARS} characters`, 413);
+    out[k] = files[k];
+  }
+  return out;
+}
+
+// Compares index.html / style.css / game.js and reports IDs and classes that don't line up.
+// Any file may be missing (single-file builds); checks that need it are skipped.
+function analyzeProject(files = {}) {
+  const issues = [];
+  const push = (severity, code, file, message, extra = {}) => issues.push({ severity, code, file, message, ...extra });
+
+  const htmlSrc = typeof files["index.html"] === "string" ? files["index.html"] : null;
+  const cssSrc = typeof files["style.css"] === "string" ? files["style.css"] : null;
+  const jsSrc = typeof files["game.js"] === "string" ? files["game.js"] : null;
+
+  const html = htmlSrc != null ? analyzeHtml(htmlSrc) : null;
+  const css = cssSrc != null || html ? cssSelectorsFrom((cssSrc || "") + "\n" + (html?.inlineCss || "")) : null;
+
+  let js = null;
+  if (jsSrc != null) {
+    try {
+      js = analyzeJs(jsSrc);
+    } catch (e) {
+      push("error", "js-parse-error", "game.js", `game.js does not parse: ${e.message}`, { line: e.loc?.line });
+    }
+  }
+
+  if (html && js) {
+    const seen = new Set();
+    for (const r of js.idRefs) {
+      if (html.ids.has(r.id) || js.createdIds.has(r.id) || seen.has(r.id)) continue;
+      seen.add(r.id);
+      push("error", "missing-id", "game.js", `#${r.id} is looked up in game.js but not defined in index.html`, { id: r.id, line: r.line });
+    }
+
+    const jsIds = new Set(js.idRefs.map((r) => r.id));
+    for (const [id, tag] of html.ids) {
+      if (jsIds.has(id) || html.localRefs.has(id) || css?.ids.has(id)) continue;
+      if (tag === "button") continue; // reported below as unwired-button
+      push("info", "orphan-id", "index.html", `#${id} (<${tag}>) is never used by game.js or style.css`, { id });
+    }
+
+    const jsClasses = new Set(js.classRefs.map((r) => r.className));
+    for (const b of html.buttons) {
+      if (b.inline) continue;
+      if (b.id && jsIds.has(b.id)) continue;
+      if (b.classes.some((c) => jsClasses.has(c))) continue;
+      const name = b.id ? `#${b.id}` : `"${b.label || "button"}"`;
+      push("warning", "unwired-button", "index.html", `Button ${name} is never referenced by game.js, so clicking it does nothing`, { id: b.id || undefined });
+    }
+  }
+
+  if (js && css && (cssSrc != null)) {
+    const seen = new Set();
+    for (const r of js.classRefs) {
+      if (css.classes.has(r.className) || seen.has(r.className)) continue;
+      seen.add(r.className);
+      push("warning", "class-missing-css", "game.js", `.${r.className} is used by game.js but has no rule in style.css`, { className: r.className, line: r.line });
+    }
+  }
+
+  const count = (sev) => issues.filter((i) => i.severity === sev).length;
+  const errors = count("error");
+  return {
+    ok: errors === 0,
+    checked: Object.keys(files).filter((k) => BUILD_ORDER.includes(k) && typeof files[k] === "string"),
+    summary: { errors, warnings: count("warning"), info: count("info") },
+    issues,
+  };
+}
+
+/* ===============================
+   Contract lint (game.js vs buildSystemRules)
+   =============================== */
+
+const REQUIRED_EVENTS = [
+  { name: "chat", aliases: ["chat"] },
+  { name: "gift", aliases: ["gift"] },
+  { name: "like", aliases: ["like"] },
+  { name: "join", aliases: ["join", "member"] },
+  { name: "social", aliases: ["social"] },
+  { name: "roomUserSeq", aliases: ["roomuserseq"] },
+  { name: "control", aliases: ["control"] },
+];
+const MESSAGE_EVENTS = new Set(REQUIRED_EVENTS.flatMap((e) => e.aliases));
+
+function isFunctionNode(n) {
+  return n && (n.type === "FunctionDeclaration" || n.type === "FunctionExpression" || n.type === "ArrowFunctionExpression");
+}
+
+function calleeName(callee) {
+  if (callee?.type === "Identifier") return callee.name;
+  if (callee?.type === "MemberExpression" && !callee.computed) return callee.property.name;
+  return "";
+}
+
+function containsNode(root, pred) {
+  let found = null;
+  try {
+    acornWalk.full(root, (n) => {
+      if (!found && pred(n)) { found = n; throw found; }
+    });
+  } catch (e) {
+    if (e !== found) throw e;
+  }
+  return found;
+}
+
+// Shared facts about one game.js AST that the individual rules read from.
+function lintContext(ast) {
+  const functions = new Map(); // name -> function node
+  const clientNews = []; // { node, fns: enclosing function nodes (innermost last), parents }
+  const onCalls = []; // { event, handler, line }
+  const tokenCalls = [];
+
+  acornWalk.fullAncestor(ast, (n, _state, ancestors) => {
+    if (n.type === "FunctionDeclaration" && n.id) functions.set(n.id.name, n);
+    if (n.type === "VariableDeclarator" && n.id.type === "Identifier" && isFunctionNode(n.init)) functions.set(n.id.name, n.init);
+
+    if (n.type === "NewExpression" && calleeName(n.callee) === "TikTokClient") {
+      const fns = [];
+      for (let i = 0; i < ancestors.length - 1; i++) {
+        const a = ancestors[i];
+        if (!isFunctionNode(a)) continue;
+        const parent = ancestors[i - 1];
+        const iife = parent?.type === "CallExpression" && parent.callee === a;
+        fns.push({ node: a, iife });
+      }
+      clientNews.push({ node: n, fns });
+    }
+
+    if (n.type === "CallExpression") {
+      const name = calleeName(n.callee);
+      const evt = stringValue(n.arguments[0]);
+      if ((name === "on" || name === "addListener") && evt != null) {
+        onCalls.push({ event: evt, handler: n.arguments[1], line: n.loc.start.line });
+      }
+      if (name === "setAccessToken") tokenCalls.push(n);
+    }
+  });
+
+  return { ast, functions, clientNews, onCalls, tokenCalls };
+}
+
+function resolveFunction(ctx, node) {
+  if (isFunctionNode(node)) return node;
+  if (node?.type === "Identifier") return ctx.functions.get(node.name) || null;
+  return null;
+}
+
+function hasTopLevelTry(ctx, fn, depth = 0) {
+  if (!fn) return false;
+  if (fn.body.type !== "BlockStatement") {
+    // (data) => handler(data)
+    const callee = fn.body.type === "CallExpression" ? fn.body.callee : null;
+    return depth < 2 && !!callee && hasTopLevelTry(ctx, resolveFunction(ctx, callee), depth + 1);
+  }
+  const stmts = fn.body.body.filter((st) => st.type !== "EmptyStatement");
+  if (stmts.some((st) => st.type === "TryStatement")) return true;
+  // A one-line body that forwards to another handler counts if that handler is wrapped.
+  if (depth < 2 && stmts.length === 1 && stmts[0].type === "ExpressionStatement" && stmts[0].expression.type === "CallExpression") {
+    return hasTopLevelTry(ctx, resolveFunction(ctx, stmts[0].expression.callee), depth + 1);
+  }
+  return false;
+}
+
+const isCloseCall = (n) => n.type === "CallExpression" && ["close", "disconnect"].includes(calleeName(n.callee)) && n.callee.type === "MemberExpression";
+
+const CONTRACT_RULES = [
+  {
+    id: "client-after-connect",
+    description: "Create TikTokClient only after clicking Connect (never at load time).",
+    check(ctx, report) {
+      if (!ctx.clientNews.length) return report("new TikTokClient(...) is never called", ctx.ast);
+      for (const c of ctx.clientNews) {
+        if (!c.fns.some((f) => !f.iife)) report("TikTokClient is created at load time instead of inside the Connect handler", c.node);
+      }
+    },
+  },
+  {
+    id: "close-previous-socket",
+    description: "Close the previous socket before creating a new TikTokClient.",
+    check(ctx, report) {
+      for (const c of ctx.clientNews) {
+        const inner = c.fns.filter((f) => !f.iife).pop()?.node;
+        if (!inner) continue;
+        const before = (n) => n.start < c.node.start;
+        const direct = containsNode(inner.body, (n) => isCloseCall(n) && before(n));
+        const viaHelper = containsNode(inner.body, (n) => {
+          if (n.type !== "CallExpression" || !before(n) || n.callee.type !== "Identifier") return false;
+          const fn = ctx.functions.get(n.callee.name);
+          return !!fn && !!containsNode(fn.body, isCloseCall);
+        });
+        if (!direct && !viaHelper) report("Previous TikTokClient socket is not closed before a new client is created", c.node);
+      }
+    },
+  },
+  {
+    id: "set-access-token",
+    description: "If CHATTOK_CREATOR_TOKEN exists, call setAccessToken.",
+    check(ctx, report) {
+      const withToken = ctx.tokenCalls.filter((n) => containsNode(n, (x) => (x.type === "Identifier" && x.name === "CHATTOK_CREATOR_TOKEN") || (x.type === "MemberExpression" && x.property?.name === "CHATTOK_CREATOR_TOKEN")));
+      if (!withToken.length) return report("client.setAccessToken(CHATTOK_CREATOR_TOKEN) is never called", ctx.clientNews[0]?.node || ctx.ast);
+      const guarded = containsNode(ctx.ast, (n) =>
+        (n.type === "UnaryExpression" && n.operator === "typeof" && n.argument.type === "Identifier" && n.argument.name === "CHATTOK_CREATOR_TOKEN") ||
+        (n.type === "MemberExpression" && n.object.type === "Identifier" && n.object.name === "window" && n.property?.name === "CHATTOK_CREATOR_TOKEN")
+      );
+      if (!guarded) report("CHATTOK_CREATOR_TOKEN is read without a typeof/window guard (ReferenceError when not injected)", withToken[0]);
+    },
+  },
+  {
+    id: "wire-events",
+    description: "Wire events: chat, gift, like, join, social, roomUserSeq, control.",
+    check(ctx, report) {
+      const wired = new Set(ctx.onCalls.map((c) => c.event.toLowerCase()));
+      for (const e of REQUIRED_EVENTS) {
+        if (!e.aliases.some((a) => wired.has(a))) report(`TikTok "${e.name}" event is not wired`, ctx.clientNews[0]?.node || ctx.ast);
+      }
+    },
+  },
+  {
+    id: "handler-try-catch",
+    description: "Wrap handlers in try/catch. Never crash on missing fields.",
+    check(ctx, report) {
+      for (const c of ctx.onCalls) {
+        if (!MESSAGE_EVENTS.has(c.event.toLowerCase())) continue;
+        const fn = resolveFunction(ctx, c.handler);
+        if (!fn) continue;
+        if (!hasTopLevelTry(ctx, fn)) report(`"${c.event}" handler is not wrapped in try/catch`, c.handler);
+      }
+    },
+  },
+];
+
+function lintGameJs(code) {
+  let ast;
+  try {
+    ast = parseJs(code);
+  } catch (e) {
+    return { ok: false, violations: [{ rule: "parse", message: `game.js does not parse: ${e.message}`, line: e.loc?.line ?? null }] };
+  }
+
+  const ctx = lintContext(ast);
+  const violations = [];
+  for (const rule of CONTRACT_RULES) {
+    const report = (message, node) => violations.push({ rule: rule.id, message, line: node?.loc?.start.line ?? null });
+    try {
+      rule.check(ctx, report);
+    } catch (e) {
+      violations.push({ rule: rule.id, message: "Rule crashed: " + (e?.message || String(e)), line: null });
+    }
+  }
+  return { ok: violations.length === 0, violations };
+}
+
+function formatViolations(violations) {
+  return violations.map((v) => `- [${v.rule}]${v.line ? ` line ${v.line}` : ""}: ${v.message}`).join("\n");
+}
+
+// Lints game.js and, while it still breaks the contract, asks the model for a bounded number of fixes.
+// Keeps whichever version has the fewest violations.
+async function lintAndRepairGameJs({ code, builderRules, hooks = {} }) {
+  const maxRepairs = Math.max(0, Math.min(5, Number(process.env.LINT_MAX_REPAIRS ?? 2) || 0));
+  let best = { code, lint: lintGameJs(code) };
+  let repairs = 0;
+
+  while (!best.lint.ok && repairs < maxRepairs && hasModel() && !hooks.signal?.aborted) {
+    repairs += 1;
+    hooks.onPhase?.("validating", { repair: repairs, violations: best.lint.violations.length });
+    const user = `
+The game.js below violates the builder's non-negotiable rules.
+Fix ONLY these problems; keep all other behavior the same.
+Return ONLY JSON with exactly one key: "game.js".
+
+Violations:
+${formatViolations(best.lint.violations)}
+
+game.js:
+${JSON.stringify(best.code)}
+`.trim();
+
+    const r = await openaiJson({ ...modelConfig("repair"), system: buildSystemRules(builderRules), user, signal: hooks.signal, onRetry: retryHook(hooks) });
+    const fixed = r.ok && !r.repaired ? r.json?.["game.js"] : null;
+    if (typeof fixed !== "string") continue;
+
+    const lint = lintGameJs(fixed);
+    if (lint.violations.length < best.lint.violations.length) best = { code: fixed, lint };
+  }
+
+  return { code: best.code, lint: { ...best.lint, repairs } };
+}
+
+/* ===============================
+   Plan / build pipeline
+   =============================== */
+
+const BUILD_ORDER = ["index.html", "style.css", "game.js"];
+
+// `hooks` (all optional): { signal, onPhase(phase, extra), onToken(text) } — used by the streaming routes.
+async function planSpec({ prompt, theme, builderRules, hooks = {} }) {
+  hooks.onPhase?.("planning");
+  if (!hasModel()) return { spec: fallbackSpecFromIdea(prompt, theme), usedFallback: true };
+
+  const system = buildSystemRules(builderRules);
+  const user = `
+Create a detailed game SPEC as JSON with these keys:
+${specPromptShape()}
+
+theme: ${JSON.stringify(theme)}
+prompt: ${JSON.stringify(prompt)}
+`.trim();
+
+  const r = await openaiJson({ ...modelConfig("plan"), system, user, signal: hooks.signal, onToken: hooks.onToken, onRetry: retryHook(hooks) });
+  if (r.ok) {
+    // Model output is normalized leniently: type errors become defaults and are reported, not fatal.
+    const v = normalizeGameSpec(r.json, { theme });
+    return { spec: v.spec, issues: specIssues(v), usedFallback: false, llm: llmInfo(r) };
+  }
+  if (r.aborted) return { spec: null, aborted: true };
+  return { spec: fallbackSpecFromIdea(prompt, theme), usedFallback: true, fallbackReason: r.error, llm: llmInfo(r) };
+}
+
+// Dot paths ("scoring", "commands.join") for spec field locks.
+const SPEC_PATH_RE = /^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/;
+
+function getPath(obj, p) {
+  return p.split(".").reduce((o, k) => (o && typeof o === "object" && Object.prototype.hasOwnProperty.call(o, k) ? o[k] : undefined), obj);
+}
+
+function setPath(obj, p, value) {
+  const keys = p.split(".");
+  let o = obj;
+  for (const k of keys.slice(0, -1)) {
+    if (!o[k] || typeof o[k] !== "object" || Array.isArray(o[k])) o[k] = {};
+    o = o[k];
+  }
+  const last = keys[keys.length - 1];
+  if (value === undefined) delete o[last];
+  else o[last] = value;
+}
+
+// Which spec fields differ, two levels deep (e.g. "scoring.like"), for the refine changelog.
+function specChanges(before, after, prefix = "", depth = 0) {
+  const out = [];
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    const p = prefix ? `${prefix}.${k}` : k;
+    const a = before?.[k];
+    const b = after?.[k];
+    if (a === undefined) out.push({ path: p, op: "added" });
+    else if (b === undefined) out.push({ path: p, op: "removed" });
+    else if (depth < 1 && isObj(a) && isObj(b)) out.push(...specChanges(a, b, p, depth + 1));
+    else if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ path: p, op: "changed" });
+  }
+  return out;
+}
+
+// Conversational refinement: current spec + chat history -> updated spec + changelog.
+// Locked paths are restored from the current spec whatever the model returns.
+async function refineSpec({ spec, messages, lockedFields, theme, builderRules, hooks = {} }) {
+  hooks.onPhase?.("refining");
+  if (!hasModel()) return { spec, changelog: [], usedFallback: true, fallbackReason: "No model configured; spec unchanged" };
+
+  const system = buildSystemRules(builderRules);
+  const history = messages.map((m) => `${m.role.toUpperCase()}: ${m.content}`).join("\n\n");
+  const user = `
+Refine the game SPEC according to the conversation. Keep everything the user did not ask to change.
+Return ONLY JSON:
+{ "spec": { ...the complete updated spec... }, "changelog": ["short human-readable change", ...] }
+${lockedFields.length ? `Locked fields (must stay exactly as they are): ${lockedFields.join(", ")}` : ""}
+
+theme: ${JSON.stringify(theme)}
+current spec: ${JSON.stringify(spec)}
+
+conversation:
+${history}
+`.trim();
+
+  const r = await openaiJson({ ...modelConfig("plan"), system, user, signal: hooks.signal, onToken: hooks.onToken, onRetry: retryHook(hooks) });
+  if (r.aborted) return { spec: null, aborted: true };
+  if (!r.ok) return { spec, changelog: [], usedFallback: true, fallbackReason: r.error, llm: llmInfo(r) };
+
+  // Some models answer with the bare spec instead of { spec, changelog }.
+  const wrapped = r.json?.spec && typeof r.json.spec === "object" && !Array.isArray(r.json.spec);
+  const next = structuredClone(wrapped ? r.json.spec : r.json);
+  const changelog = (Array.isArray(r.json?.changelog) ? r.json.changelog : []).map((c) => safeStr(c, 500)).filter(Boolean);
+
+  const reverted = [];
+  for (const p of lockedFields) {
+    const before = getPath(spec, p);
+    if (JSON.stringify(getPath(next, p)) === JSON.stringify(before)) continue;
+    setPath(next, p, before === undefined ? undefined : structuredClone(before));
+    reverted.push(p);
+  }
+  return { spec: next, changelog, reverted, usedFallback: false, llm: llmInfo(r) };
+}
+
+function buildUserPrompt({ target, prompt, theme, spec, contextFiles }) {
+  const ctxHtml = safeStr(contextFiles?.["index.html"] || "", 180000);
+  const ctxCss = safeStr(contextFiles?.["style.css"] || "", 180000);
+
+  if (target === "index.html") {
+    return `
+Generate ONLY index.html as JSON with exactly one key: "index.html".
+Hard requirements:
+- Must include <link rel="stylesheet" href="style.css">
+- Must include Settings + Game screen containers with clear IDs used by game.js
+- Start gated until connected OR offline/test mode toggle
+- Must include required script tags in exact dependency order before game.js
+
+theme: ${JSON.stringify(theme)}
+spec: ${JSON.stringify(spec)}
+prompt: ${JSON.stringify(prompt)}
+`.trim();
+  }
+
+  if (target === "style.css") {
+    return `
+Generate ONLY style.css as JSON with exactly one key: "style.css".
+- No Tailwind CDN, no external libs
+- Styles must match the index.html structure below
+
+index.html:
+${JSON.stringify(ctxHtml)}
+
+theme: ${JSON.stringify(theme)}
+spec: ${JSON.stringify(spec)}
+prompt: ${JSON.stringify(prompt)}
+`.trim();
+  }
+
+  return `
+Generate ONLY game.js as JSON with exactly one key: "game.js".
+Hard requirements:
+- Follow the TikTok connect pattern (create client only after Connect; close old socket; setAccessToken; wire events)
+- Use MessagesClean fields in try/catch
+- Start gated until connected OR offline mode
+- Switch Settings -> Game on Start
+- Implement gameplay per spec/prompt
+
+index.html:
+${JSON.stringify(ctxHtml)}
+
+style.css:
+${JSON.stringify(ctxCss)}
+
+theme: ${JSON.stringify(theme)}
+spec: ${JSON.stringify(spec)}
+prompt: ${JSON.stringify(prompt)}
+`.trim();
+}
+
+// Builds one file. Never throws for model failures: returns { ok: false, error } instead.
+async function buildTarget({ target, prompt, theme, builderRules, spec, contextFiles = {}, mode = "ai", hooks = {} }) {
+  hooks.onPhase?.("generating", { target });
+  if (mode === "template") {
+    return { ok: true, content: renderTemplate(target, normalizeTemplateSpec(spec, theme), theme) };
+  }
+
+  if (!hasModel()) {
+    // No key: ship the complete template game built from the (fallback) spec.
+    return { ok: true, content: renderTemplate(target, normalizeTemplateSpec(spec, theme), theme), usedFallback: true };
+  }
+
+  const system = buildSystemRules(builderRules);
+  const user = buildUserPrompt({ target, prompt, theme, spec, contextFiles });
+
+  const r = await openaiJson({ ...modelConfig("build"), system, user, signal: hooks.signal, onToken: hooks.onToken, onRetry: retryHook(hooks) });
+  const llm = llmInfo(r);
+  if (!r.ok) return { ok: false, error: r.error || "Build failed", errorType: r.errorType, excerpt: r.excerpt, aborted: r.aborted, llm };
+  // A repaired (cut-off) object would carry a cut-off file; never ship that.
+  if (r.repaired) return { ok: false, error: JSON_ERROR_MESSAGES.truncated, errorType: "truncated", excerpt: jsonExcerpt(r.raw), llm };
+
+  let content = r.json?.[target];
+  if (typeof content !== "string") return { ok: false, error: "AI JSON missing target key", llm };
+
+  hooks.onPhase?.("post-processing", { target });
+  if (target === "index.html") content = ensureCssLink(ensureTikTokScriptOrder(content));
+  if (target === "game.js") {
+    hooks.onPhase?.("validating", { target });
+    const fixed = await lintAndRepairGameJs({ code: content, builderRules, hooks });
+    return { ok: true, content: fixed.code, lint: fixed.lint, llm };
+  }
+  return { ok: true, content, llm };
+}
+
+/* ===============================
+   Projects (version history)
+   PROJECTS_DIR (default ./data/projects) holds one folder per project:
+     project.json        { id, name, builderRules, head, createdAt, updatedAt }
+     versions/<n>.json   { version, parent, source, prompt, spec, theme, files, createdAt }  — written once
+   build / build-all / edit with a `projectId` read their inputs from the head version and append a new one.
+   =============================== */
+
+const PROJECT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function createProjectStore(dir) {
+  const projectDir = (id) => {
+    assert(PROJECT_ID_RE.test(String(id || "")), "Project not found", 404);
+    return path.join(dir, id);
+  };
+  const metaFile = (id) => path.join(projectDir(id), "project.json");
+  const versionFile = (id, n) => path.join(projectDir(id), "versions", `${n}.json`);
+
+  const summary = (v) => ({
+    version: v.version,
+    parent: v.parent,
+    source: v.source,
+    prompt: v.prompt,
+    requestId: v.requestId,
+    createdAt: v.createdAt,
+    ...(v.rollbackOf ? { rollbackOf: v.rollbackOf } : {}),
+    files: Object.fromEntries(Object.entries(v.files || {}).map(([k, c]) => [k, c.length])),
+  });
+
+  const store = {
+    list() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter((id) => PROJECT_ID_RE.test(id))
+        .map((id) => readJson(metaFile(id)))
+        .filter(Boolean)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+    get(id) {
+      const meta = readJson(metaFile(id));
+      assert(meta, "Project not found", 404);
+      return meta;
+    },
+    version(id, n) {
+      const v = readJson(versionFile(id, n));
+      assert(v, `Version ${n} not found`, 404);
+      return v;
+    },
+    versions(id) {
+      const meta = store.get(id);
+      const out = [];
+      for (let n = 1; n <= meta.head; n++) {
+        const v = readJson(versionFile(id, n));
+        if (v) out.push(summary(v));
+      }
+      return out;
+    },
+    create({ name, builderRules, spec, theme, files, prompt, requestId }) {
+      const id = crypto.randomUUID();
+      fs.mkdirSync(path.join(dir, id, "versions"), { recursive: true });
+      const now = new Date().toISOString();
+      writeJsonAtomic(metaFile(id), { id, name, builderRules, head: 0, createdAt: now, updatedAt: now });
+      return store.addVersion(id, { source: "create", prompt, spec, theme, files, requestId });
+    },
+    // Appends version head+1. Omitted spec/theme/files carry over from the current head.
+    // `replaceFiles` drops head files missing from `files` (rollback to a version built before them).
+    // `expectedHead` is the head a build/edit started from: if another run has written a
+    // version since, this one would silently drop its changes, so it is refused with a 409.
+    // A writer that loses the race for a version number (EEXIST) is checked against
+    // `expectedHead` again, or else moves on to the next free number.
+    addVersion(id, { source, prompt = "", spec, theme, files, replaceFiles = false, requestId, rollbackOf, expectedHead }) {
+      const meta = store.get(id);
+      const picked = pickFiles(files);
+      for (let n = meta.head + 1; ; n++) {
+        if (expectedHead !== undefined) {
+          assert(n - 1 === expectedHead, `Project changed while this run was in progress (started at v${expectedHead}, head is now v${n - 1}); retry on the latest version`, 409);
+        }
+        const head = n > 1 ? store.version(id, n - 1) : null;
+        const v = {
+          version: n,
+          parent: n - 1 || null,
+          source,
+          prompt: safeStr(prompt, 40000),
+          requestId: requestId || null,
+          createdAt: new Date().toISOString(),
+          spec: spec ?? head?.spec ?? null,
+          theme: normalizeTheme(theme || head?.theme || {}),
+          files: { ...(replaceFiles ? {} : head?.files), ...picked },
+        };
+        if (rollbackOf) v.rollbackOf = rollbackOf;
+
+        // "wx" refuses to overwrite: a version file, once written, never changes.
+        try {
+          fs.writeFileSync(versionFile(id, v.version), JSON.stringify(v, null, 2), { flag: "wx" });
+        } catch (err) {
+          if (err.code === "EEXIST") continue;
+          throw err;
+        }
+        const latest = store.get(id);
+        const next = { ...latest, head: Math.max(latest.head, v.version), updatedAt: v.createdAt };
+        writeJsonAtomic(metaFile(id), next);
+        return { project: next, version: v };
+      }
+    },
+    update(id, { name, builderRules }) {
+      const meta = store.get(id);
+      const next = { ...meta, updatedAt: new Date().toISOString() };
+      if (name != null) next.name = name;
+      if (builderRules != null) next.builderRules = builderRules;
+      writeJsonAtomic(metaFile(id), next);
+      return next;
+    },
+    remove(id) {
+      store.get(id);
+      fs.rmSync(projectDir(id), { recursive: true, force: true });
+    },
+  };
+  return store;
+}
+
+const projectStore = createProjectStore(path.resolve(safeStr(process.env.PROJECTS_DIR || "", 500) || path.join(__dirname, "data", "projects")));
+
+// Loads the project named by body.projectId (if any) with its head version, for the build/edit runners.
+// `project.head` stays the run's starting point; recordProjectVersion() refuses to write past a newer head.
+function projectFrom(body) {
+  const id = safeStr(body?.projectId || "", 80);
+  if (!id) return null;
+  const project = projectStore.get(id);
+  const head = project.head ? projectStore.version(id, project.head) : { files: {}, spec: null, theme: null };
+  return { project, head };
+}
+
+function recordProjectVersion(ctx, version) {
+  if (!ctx) return undefined;
+  const r = projectStore.addVersion(ctx.project.id, { ...version, expectedHead: ctx.project.head });
+  return { id: r.project.id, version: r.version.version };
+}
+
+// Saves `version` and returns the run's 200 result. If the project moved on meanwhile, the
+// result comes back as a 409 with the unsaved output attached so the client can keep or reapply it.
+function projectResult(ctx, out, version) {
+  try {
+    out.project = recordProjectVersion(ctx, version);
+    return { status: 200, body: out };
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return { status: 409, body: { ...out, ok: false, error: err.message, project: { id: ctx.project.id, conflict: true, startedAt: ctx.project.head } } };
+  }
+}
+
+// Line diff: common prefix/suffix are trimmed, the middle uses an LCS table (or a plain
+// replace when that table would be too large), and the result is rendered as a unified diff.
+function diffLines(aText, bText, context = 3) {
+  const lines = (t) => (t ? String(t).replace(/\n$/, "").split("\n") : []);
+  const a = lines(aText);
+  const b = lines(bText);
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const am = a.slice(pre, a.length - suf);
+  const bm = b.slice(pre, b.length - suf);
+  const ops = a.slice(0, pre).map((line) => [" ", line]);
+
+  if (am.length * bm.length > 4000000) {
+    for (const line of am) ops.push(["-", line]);
+    for (const line of bm) ops.push(["+", line]);
+  } else {
+    const w = bm.length + 1;
+    const lcs = new Uint32Array((am.length + 1) * w);
+    for (let i = am.length - 1; i >= 0; i--) {
+      for (let j = bm.length - 1; j >= 0; j--) {
+        lcs[i * w + j] = am[i] === bm[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < am.length || j < bm.length) {
+      if (i < am.length && j < bm.length && am[i] === bm[j]) { ops.push([" ", am[i++]]); j++; }
+      else if (i < am.length && (j === bm.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) ops.push(["-", am[i++]]);
+      else ops.push(["+", bm[j++]]);
+    }
+  }
+  for (const line of a.slice(a.length - suf)) ops.push([" ", line]);
+
+  // Group changed ops into hunks with `context` unchanged lines around them.
+  const changed = ops.map((op, k) => (op[0] !== " " ? k : -1)).filter((k) => k >= 0);
+  const hunks = [];
+  for (const k of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= context * 2 + 1) last.end = k;
+    else hunks.push({ start: k, end: k });
+  }
+
+  let added = 0;
+  let removed = 0;
+  const out = [];
+  for (const h of hunks) {
+    const from = Math.max(0, h.start - context);
+    const to = Math.min(ops.length - 1, h.end + context);
+    let aLine = 1;
+    let bLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k][0] !== "+") aLine++;
+      if (ops[k][0] !== "-") bLine++;
+    }
+    const body = ops.slice(from, to + 1);
+    const aCount = body.filter((op) => op[0] !== "+").length;
+    const bCount = body.filter((op) => op[0] !== "-").length;
+    out.push(`@@ -${aCount ? aLine : aLine - 1},${aCount} +${bCount ? bLine : bLine - 1},${bCount} @@`);
+    for (const [t, line] of body) {
+      if (t === "+") added++;
+      if (t === "-") removed++;
+      out.push(t + line);
+    }
+  }
+  return { added, removed, hunks: hunks.length, patch: out.join("\n") };
+}
+
+function diffVersions(va, vb) {
+  const files = {};
+  for (const name of BUILD_ORDER) {
+    const a = va.files?.[name];
+    const b = vb.files?.[name];
+    if (a == null && b == null) continue;
+    const status = a == null ? "added" : b == null ? "removed" : a === b ? "unchanged" : "modified";
+    const d = status === "unchanged" ? { added: 0, removed: 0, hunks: 0, patch: "" } : diffLines(a ?? "", b ?? "");
+    const label = (v) => (typeof v.version === "number" ? `v${v.version}` : v.version);
+    const header = d.patch ? `--- a/${name} (${label(va)})\n+++ b/${name} (${label(vb)})\n` : "";
+    files[name] = { status, added: d.added, removed: d.removed, hunks: d.hunks, patch: header + d.patch };
+  }
+  return {
+    from: va.version,
+    to: vb.version,
+    specChanged: JSON.stringify(va.spec) !== JSON.stringify(vb.spec),
+    themeChanged: JSON.stringify(va.theme) !== JSON.stringify(vb.theme),
+    files,
+  };
+}
+
+/* ===============================
+   Patch edits (/api/edit with mode: "patch")
+   The model returns { summary, edits: [{ file, search, replace } | { file, diff }] } instead of whole
+   files. Each search/replace and each unified-diff hunk is applied on its own and reported as
+   "applied" or "conflict" (text not found, or found more than once).
+   =============================== */
+
+const splitLines = (t) => String(t ?? "").split("\n");
+
+// Finds `needle` (array of lines) in `hay`; exact first, then ignoring indentation/trailing space.
+// Returns the index closest to `near` among matches, or { ambiguous } when `unique` is required.
+function findLines(hay, needle, { near = 0, unique = false } = {}) {
+  const passes = [(x, y) => x === y, (x, y) => x.trim() === y.trim()];
+  for (const [pass, eq] of passes.entries()) {
+    const hits = [];
+    for (let i = 0; i + needle.length <= hay.length; i++) {
+      let k = 0;
+      while (k < needle.length && eq(hay[i + k], needle[k])) k++;
+      if (k === needle.length) hits.push(i);
+    }
+    if (!hits.length) continue;
+    if (unique && hits.length > 1) return { ambiguous: hits.length };
+    hits.sort((x, y) => Math.abs(x - near) - Math.abs(y - near));
+    return { at: hits[0], fuzzy: pass > 0 };
+  }
+  return { missing: true };
+}
+
+function applySearchReplace(text, search, replace) {
+  if (!search) return { ok: false, reason: "Empty search text" };
+  const count = text.split(search).length - 1;
+  if (count > 1) return { ok: false, reason: `Search text matches ${count} places` };
+  if (count === 1) {
+    const i = text.indexOf(search);
+    return { ok: true, text: text.slice(0, i) + replace + text.slice(i + search.length), line: text.slice(0, i).split("\n").length };
+  }
+
+  // No exact match: retry line by line, tolerating indentation and trailing-space drift.
+  const lines = splitLines(text);
+  const needle = splitLines(search.replace(/\n$/, ""));
+  const found = findLines(lines, needle, { unique: true });
+  if (found.ambiguous) return { ok: false, reason: `Search text matches ${found.ambiguous} places` };
+  if (found.missing) return { ok: false, reason: "Search text not found" };
+  lines.splice(found.at, needle.length, ...splitLines(replace.replace(/\n$/, "")));
+  return { ok: true, text: lines.join("\n"), line: found.at + 1, fuzzy: true };
+}
+
+function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let cur = null;
+  for (const raw of splitLines(String(diff).replace(/\n$/, ""))) {
+    const line = raw.replace(/\r$/, "");
+    const m = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (m) {
+      cur = { header: line, oldStart: Number(m[1]), old: [], new: [] };
+      hunks.push(cur);
+      continue;
+    }
+    if (!cur || line.startsWith("--- ") || line.startsWith("+++ ") || line.startsWith("\\")) continue;
+    const t = line[0];
+    const body = line.slice(1);
+    if (t === "-") cur.old.push(body);
+    else if (t === "+") cur.new.push(body);
+    else {
+      // Context; models sometimes drop the leading space on blank lines.
+      const ctx = t === " " ? body : line;
+      cur.old.push(ctx);
+      cur.new.push(ctx);
+    }
+  }
+  return hunks;
+}
+
+// Applies hunks in order; line numbers are hints (shifted by earlier hunks), the old lines must match.
+function applyUnifiedDiff(text, diff) {
+  const lines = splitLines(text);
+  const results = [];
+  let offset = 0;
+  for (const h of parseUnifiedDiff(diff)) {
+    const near = Math.max(0, h.oldStart - 1 + offset);
+    const found = h.old.length ? findLines(lines, h.old, { near }) : { at: Math.min(near, lines.length) };
+    if (found.missing) {
+      results.push({ header: h.header, ok: false, reason: "Hunk context not found" });
+      continue;
+    }
+    lines.splice(found.at, h.old.length, ...h.new);
+    offset += h.new.length - h.old.length;
+    results.push({ header: h.header, ok: true, line: found.at + 1, ...(found.fuzzy ? { fuzzy: true } : {}) });
+  }
+  return { text: lines.join("\n"), results };
+}
+
+// Applies the model's edits to `files`. Conflicting edits are skipped and reported; callers decide
+// whether a partial result is acceptable.
+function applyPatchEdits(files, edits) {
+  const out = { ...files };
+  const hunks = [];
+  for (const [index, e] of (Array.isArray(edits) ? edits : []).entries()) {
+    const file = String(e?.file || "");
+    if (!BUILD_ORDER.includes(file)) {
+      hunks.push({ index, file, status: "conflict", reason: "Unknown file" });
+      continue;
+    }
+    if (typeof e.diff === "string") {
+      const r = applyUnifiedDiff(out[file], e.diff);
+      if (!r.results.length) hunks.push({ index, file, kind: "diff", status: "conflict", reason: "Diff has no hunks" });
+      for (const h of r.results) {
+        hunks.push({ index, file, kind: "diff", header: h.header, status: h.ok ? "applied" : "conflict", ...(h.ok ? { line: h.line } : { reason: h.reason }), ...(h.fuzzy ? { fuzzy: true } : {}) });
+      }
+      out[file] = r.text;
+    } else if (typeof e.search === "string" && typeof e.replace === "string") {
+      const r = applySearchReplace(out[file], e.search, e.replace);
+      const h = { index, file, kind: "replace", search: e.search, replace: e.replace, status: r.ok ? "applied" : "conflict" };
+      if (r.ok) Object.assign(h, { line: r.line }, r.fuzzy ? { fuzzy: true } : {});
+      else h.reason = r.reason;
+      hunks.push(h);
+      if (r.ok) out[file] = r.text;
+    } else {
+      hunks.push({ index, file, status: "conflict", reason: "Edit needs search+replace or diff" });
+    }
+  }
+  return { files: out, hunks, conflicts: hunks.filter((h) => h.status === "conflict") };
+}
+
+/* ===============================
+   Screenshots (vision input for /api/edit)
+   body.screenshots: [{ dataUrl, note? }] (or the older single body.screenshotDataUrl).
+   Each must be a PNG/JPEG data URL; images larger than VISION_MAX_DIM are downscaled when the
+   optional `sharp` package is installed (send downscale: false to keep the original).
+   =============================== */
+
+const VISION_MAX_IMAGES = Math.max(1, Math.min(10, Number(process.env.VISION_MAX_IMAGES || 4) || 4));
+const VISION_MAX_BYTES = Math.max(65536, Number(process.env.VISION_MAX_BYTES || 4000000) || 4000000);
+const VISION_MAX_DIM = Math.max(256, Number(process.env.VISION_MAX_DIM || 1280) || 1280);
+const VISION_DETAIL = ["low", "high", "auto"].includes(process.env.VISION_DETAIL) ? process.env.VISION_DETAIL : "auto";
+
+// Width/height straight from the PNG IHDR chunk or the first JPEG SOF marker.
+function imageSize(buf, mime) {
+  if (mime === "image/png") return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  let i = 2;
+  while (i + 9 < buf.length) {
+    if (buf[i] !== 0xff) return null;
+    const marker = buf[i + 1];
+    const len = buf.readUInt16BE(i + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+    }
+    i += 2 + len;
+  }
+  return null;
+}
+
+function parseImageDataUrl(dataUrl, label) {
+  const m = /^data:(image\/(?:png|jpeg|jpg));base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || "").trim());
+  assert(m, `${label} must be a PNG or JPEG data URL`);
+  const mime = m[1] === "image/jpg" ? "image/jpeg" : m[1];
+  const buffer = Buffer.from(m[2].replace(/\s+/g, ""), "base64");
+  assert(buffer.length <= VISION_MAX_BYTES, `${label} is larger than ${VISION_MAX_BYTES} bytes`, 413);
+
+  const isPng = buffer.length > 24 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  const isJpeg = buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  assert(mime === "image/png" ? isPng : isJpeg, `${label} content is not a valid ${mime === "image/png" ? "PNG" : "JPEG"}`);
+
+  const size = imageSize(buffer, mime);
+  assert(size && size.width > 0 && size.height > 0, `${label} has unreadable dimensions`);
+  return { mime, buffer, ...size };
+}
+
+let sharpLoader = null;
+function loadSharp() {
+  sharpLoader = sharpLoader || import("sharp").then((m) => m.default).catch(() => null);
+  return sharpLoader;
+}
+
+async function downscaleImage(img) {
+  if (Math.max(img.width, img.height) <= VISION_MAX_DIM) return null;
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  const pipeline = sharp(img.buffer).resize({ width: VISION_MAX_DIM, height: VISION_MAX_DIM, fit: "inside" });
+  const { data, info } = await (img.mime === "image/png" ? pipeline.png({ compressionLevel: 9 }) : pipeline.jpeg({ quality: 85 })).toBuffer({ resolveWithObject: true });
+  return { ...img, buffer: data, width: info.width, height: info.height };
+}
+
+// Validates and (optionally) downscales the request's screenshots.
+// Returns [{ url, note, detail, mime, width, height, bytes, downscaled }].
+async function prepareScreenshots(body) {
+  let list = Array.isArray(body?.screenshots) ? body.screenshots : [];
+  if (!list.length && body?.screenshotDataUrl) list = [{ dataUrl: body.screenshotDataUrl, note: body.screenshotNote }];
+  assert(list.length <= VISION_MAX_IMAGES, `At most ${VISION_MAX_IMAGES} screenshots per edit`);
+
+  const out = [];
+  for (const [i, item] of list.entries()) {
+    const shot = typeof item === "string" ? { dataUrl: item } : item || {};
+    const label = `Screenshot ${i + 1}`;
+    const parsed = parseImageDataUrl(shot.dataUrl, label);
+    const scaled = body?.downscale === false ? null : await downscaleImage(parsed);
+    const img = scaled || parsed;
+    out.push({
+      url: `data:${img.mime};base64,${img.buffer.toString("base64")}`,
+      note: safeStr(shot.note || "", 500),
+      detail: ["low", "high", "auto"].includes(shot.detail) ? shot.detail : VISION_DETAIL,
+      mime: img.mime,
+      width: img.width,
+      height: img.height,
+      bytes: img.buffer.length,
+      downscaled: !!scaled,
+    });
+  }
+  return out;
+}
+
+/* ===============================
+   Route handlers
+   Each takes the request body (+ optional progress hooks) and resolves to { status, body },
+   so the JSON routes and the streaming routes share one implementation.
+   =============================== */
+
+function requestIdFrom(body) {
+  return safeStr(body?.requestId || crypto.randomUUID(), 120);
+}
+
+function failure(requestId, err, fallbackMsg) {
+  return { status: err.status || 500, body: { ok: false, requestId, error: err.message || fallbackMsg, ...(err.details ? { details: err.details } : {}) } };
+}
+
+async function runPlan(body, hooks = {}) {
+  const requestId = requestIdFrom(body);
+  try {
+    const prompt = safeStr(body?.prompt || "", 40000);
+    assert(prompt, "Missing prompt");
+    const theme = normalizeTheme(body?.theme || {});
+    const builderRules = safeStr(body?.builderRules || "", 80000);
+
+    const { spec, issues, usedFallback, fallbackReason, llm, aborted } = await planSpec({ prompt, theme, builderRules, hooks });
+    if (aborted) return { status: 499, body: { ok: false, requestId, echoPrompt: prompt, error: "Request aborted" } };
+
+    const out = { ok: true, requestId, echoPrompt: prompt, spec, usedFallback };
+    if (issues) out.specIssues = issues;
+    if (fallbackReason) out.fallbackReason = fallbackReason;
+    if (llm) out.llm = llm;
+    return { status: 200, body: out };
+  } catch (err) {
+    return failure(requestId, err, "Plan failed");
+  }
+}
+
+// body: { spec, messages: [{ role: "user" | "assistant", content }], message?, lockedFields?: ["title", "scoring", ...] }
+// `message` is a shorthand for appending one more user turn to `messages`.
+async function runRefine(body, hooks = {}) {
+  const requestId = requestIdFrom(body);
+  try {
+    const ctx = projectFrom(body);
+    const rawSpec = (body?.spec && typeof body.spec === "object" && !Array.isArray(body.spec) ? body.spec : null) || ctx?.head.spec;
+    assert(rawSpec, "Missing spec");
+    const spec = assertValidSpec(rawSpec).spec;
+
+    const messages = (Array.isArray(body?.messages) ? body.messages : [])
+      .filter((m) => m && ["user", "assistant"].includes(m.role) && typeof m.content === "string" && m.content.trim())
+      .map((m) => ({ role: m.role, content: safeStr(m.content, 8000) }));
+    if (body?.message) messages.push({ role: "user", content: safeStr(body.message, 8000) });
+    assert(messages.some((m) => m.role === "user"), "Missing messages");
+    const recent = messages.slice(-20);
+
+    const lockedFields = [...new Set((Array.isArray(body?.lockedFields) ? body.lockedFields : []).map((f) => safeStr(f, 200)))];
+    assert(lockedFields.length <= 50 && lockedFields.every((f) => SPEC_PATH_RE.test(f)), "Invalid lockedFields");
+
+    const theme = normalizeTheme(body?.theme || ctx?.head.theme || {});
+    const builderRules = safeStr(body?.builderRules || ctx?.project.builderRules || "", 80000);
+    const prompt = recent.filter((m) => m.role === "user").pop().content;
+
+    const r = await refineSpec({ spec, messages: recent, lockedFields, theme, builderRules, hooks });
+    if (r.aborted) return { status: 499, body: { ok: false, requestId, echoPrompt: prompt, error: "Request aborted" } };
+
+    const v = normalizeGameSpec(r.spec);
+    r.spec = v.spec;
+    const changes = specChanges(spec, r.spec);
+    const changelog = r.changelog.length ? r.changelog : changes.map((c) => `${c.op[0].toUpperCase()}${c.op.slice(1)} ${c.path}`);
+    for (const p of r.reverted || []) changelog.push(`Kept locked field ${p} unchanged`);
+    const out = { ok: true, requestId, echoPrompt: prompt, spec: r.spec, changelog, changes, lockedFields, usedFallback: r.usedFallback };
+    if (r.reverted?.length) out.reverted = r.reverted;
+    if (specIssues(v)) out.specIssues = specIssues(v);
+    if (r.fallbackReason) out.fallbackReason = r.fallbackReason;
+    if (r.llm) out.llm = r.llm;
+    if (!r.usedFallback && changes.length) return projectResult(ctx, out, { source: "refine", prompt, spec: r.spec, theme, requestId });
+    return { status: 200, body: out };
+  } catch (err) {
+    return failure(requestId, err, "Refine failed");
+  }
+}
+
+async function runBuild(body, hooks = {}) {
+  const requestId = requestIdFrom(body);
+  try {
+    const target = safeStr(body?.target || "", 50);
+    assert(BUILD_ORDER.includes(target), "Invalid target");
+
+    const mode = safeStr(body?.mode || "ai", 20);
+    assert(["ai", "template"].includes(mode), "Invalid mode");
+
+    const ctx = projectFrom(body);
+    const prompt = safeStr(body?.prompt || "", 40000);
+    const givenSpec = (body?.spec && typeof body.spec === "object" ? body.spec : null) || ctx?.head.spec || null;
+    assert(prompt || (mode === "template" && givenSpec), "Missing prompt");
+
+    const theme = normalizeTheme(body?.theme || ctx?.head.theme || {});
+    const builderRules = safeStr(body?.builderRules || ctx?.project.builderRules || "", 80000);
+    const checked = givenSpec ? assertValidSpec(givenSpec, theme) : null;
+    const spec = checked?.spec || fallbackSpecFromIdea(prompt, theme);
+
+    const contextFiles = body?.contextFiles && typeof body.contextFiles === "object" ? body.contextFiles : ctx?.head.files || {};
+
+    const r = await buildTarget({ target, prompt, theme, builderRules, spec, contextFiles, mode, hooks });
+    if (!r.ok) {
+      const out = { ok: false, requestId, echoPrompt: prompt, error: r.error };
+      if (r.errorType) Object.assign(out, { errorType: r.errorType, excerpt: r.excerpt });
+      if (r.llm) out.llm = r.llm;
+      return { status: r.aborted ? 499 : 500, body: out };
+    }
+
+    if (target !== "game.js") hooks.onPhase?.("validating", { target });
+    const out = { ok: true, requestId, echoPrompt: prompt, fileName: target, content: r.content };
+    if (mode === "template") out.mode = mode;
+    if (checked && specIssues(checked)) out.specIssues = specIssues(checked);
+    if (r.usedFallback) out.usedFallback = true;
+    if (r.llm) out.llm = r.llm;
+    if (target === "game.js") out.lint = r.lint || lintGameJs(r.content);
+    out.diagnostics = analyzeProject({ ...pickFiles(contextFiles), [target]: r.content });
+    return projectResult(ctx, out, { source: "build", prompt, spec, theme, files: { [target]: r.content }, requestId });
+  } catch (err) {
+    return failure(requestId, err, "Build failed");
+  }
+}
+
+async function runBuildAll(body, hooks = {}) {
+  const requestId = requestIdFrom(body);
+  try {
+    const mode = safeStr(body?.mode || "ai", 20);
+    assert(["ai", "template"].includes(mode), "Invalid mode");
+
+    const ctx = projectFrom(body);
+    const prompt = safeStr(body?.prompt || "", 40000);
+    const givenSpec = (body?.spec && typeof body.spec === "object" ? body.spec : null) || ctx?.head.spec || null;
+    assert(prompt || givenSpec, "Missing prompt or spec");
+
+    const theme = normalizeTheme(body?.theme || ctx?.head.theme || {});
+    const builderRules = safeStr(body?.builderRules || ctx?.project.builderRules || "", 80000);
+
+    // Retry support: previously built files are kept and only `targets` are rebuilt.
+    const prior = body?.files && typeof body.files === "object" ? body.files : body?.targets && ctx ? ctx.head.files : {};
+    const requested = Array.isArray(body?.targets) ? body.targets.map((t) => safeStr(t, 50)) : BUILD_ORDER;
+    assert(requested.length && requested.every((t) => BUILD_ORDER.includes(t)), "Invalid targets");
+
+    const checked = givenSpec ? assertValidSpec(givenSpec, theme) : null;
+    let spec = checked?.spec || null;
+    let usedFallback = false;
+    if (!spec) {
+      let aborted;
+      ({ spec, usedFallback, aborted } = await planSpec({ prompt, theme, builderRules, hooks }));
+      if (aborted) return { status: 499, body: { ok: false, requestId, echoPrompt: prompt, error: "Request aborted" } };
+    }
+
+    const files = {};
+    const status = {};
+    for (const target of BUILD_ORDER) {
+      if (!requested.includes(target)) {
+        if (typeof prior[target] === "string") {
+          files[target] = prior[target];
+          status[target] = { ok: true, reused: true };
+        }
+        continue;
+      }
+
+      // game.js / style.css are generated against index.html; without it they would be guesswork.
+      if (target !== "index.html" && typeof files["index.html"] !== "string") {
+        status[target] = { ok: false, skipped: true, error: "index.html unavailable" };
+        continue;
+      }
+
+      const r = await buildTarget({ target, prompt, theme, builderRules, spec, contextFiles: files, mode, hooks });
+      if (r.ok) {
+        files[target] = r.content;
+        status[target] = { ok: true };
+        if (target === "game.js") status[target].lint = r.lint || lintGameJs(r.content);
+        if (r.usedFallback) usedFallback = true;
+      } else {
+        status[target] = { ok: false, error: r.error };
+        if (r.errorType) status[target].errorType = r.errorType;
+      }
+      if (r.llm) status[target].llm = r.llm;
+    }
+
+    const failed = BUILD_ORDER.filter((t) => status[t] && !status[t].ok);
+    const out = { ok: failed.length === 0, requestId, echoPrompt: prompt, spec, files, status, usedFallback };
+    if (checked && specIssues(checked)) out.specIssues = specIssues(checked);
+    out.diagnostics = analyzeProject(files);
+    if (mode === "template") out.mode = mode;
+    if (!failed.length) {
+      return projectResult(ctx, out, { source: "build", prompt, spec, theme, files, requestId });
+    }
+
+    out.partial = Object.keys(files).length > 0;
+    out.error = `Failed: ${failed.join(", ")}`;
+    out.retry = { route: "/api/build-all", body: { spec, files, targets: failed } };
+    return { status: out.partial ? 207 : 500, body: out };
+  } catch (err) {
+    return failure(requestId, err, "Build failed");
+  }
+}
+
+async function runEdit(body, hooks = {}) {
+  const requestId = requestIdFrom(body);
+  try {
+    const editPrompt = safeStr(body?.editPrompt || "", 30000);
+    assert(editPrompt, "Missing editPrompt");
+
+    // "full": the model returns all three files. "patch": it returns targeted edits that are applied here.
+    const mode = safeStr(body?.mode || "full", 20);
+    assert(["full", "patch"].includes(mode), "Invalid mode");
+    const allowPartial = body?.allowPartial === true;
+
+    const ctx = projectFrom(body);
+    const theme = normalizeTheme(body?.theme || ctx?.head.theme || {});
+    const builderRules = safeStr(body?.builderRules || ctx?.project.builderRules || "", 80000);
+
+    const files = pickFiles(body?.files || ctx?.head.files);
+    assert(typeof files["index.html"] === "string", "Missing index.html");
+    assert(typeof files["style.css"] === "string", "Missing style.css");
     assert(typeof files["game.js"] === "string", "Missing game.js");
 
-    const screenshotDataUrl = safeStr(req.body?.screenshotDataUrl || "", 4000000);
+    const screenshots = await prepareScreenshots(body);
+    const screenshotInfo = screenshots.map(({ url: _url, ...info }, index) => ({ index, ...info }));
 
-    const client = getOpenAIClient();
-    if (!client) {
+    if (!hasModel()) {
+      hooks.onPhase?.("post-processing");
       const html = ensureCssLink(ensureTikTokScriptOrder(files["index.html"]));
-      return res.json({
-        ok: true,
-        requestId,
-        echoPrompt: editPrompt,
-        files: { "index.html": html, "style.css": files["style.css"], "game.js": files["game.js"] },
-      });
+      const outFiles = { "index.html": html, "style.css": files["style.css"], "game.js": files["game.js"] };
+      const out = { ok: true, requestId, echoPrompt: editPrompt, files: outFiles, diagnostics: analyzeProject(outFiles) };
+      if (screenshotInfo.length) out.screenshots = screenshotInfo;
+      if (mode === "patch") Object.assign(out, { mode, patch: { summary: "", hunks: [] } });
+      return projectResult(ctx, out, { source: "edit", prompt: editPrompt, theme, files: outFiles, requestId });
     }
 
-    const model = String(process.env.OPENAI_MODEL_BUILD || "gpt-4o-mini").trim();
     const system = buildSystemRules(builderRules);
-    const user = `
+    const outputSpec = mode === "patch" ? `
+Apply the edit as targeted patches. Return ONLY JSON:
+{ "summary": "one line", "edits": [
+  { "file": "game.js", "search": "exact existing text", "replace": "new text" },
+  { "file": "style.css", "diff": "unified diff with @@ hunks" }
+] }
+- "file" is one of "index.html", "style.css", "game.js".
+- "search" is copied verbatim from the existing file and must match exactly once; include enough lines to be unique.
+- Change only what the edit request needs; never rewrite whole files.` : `
 Apply the edit and return ONLY JSON with exactly:
-"index.html", "style.css", "game.js"
+"index.html", "style.css", "game.js"`;
+    const user = `
+${outputSpec.trim()}
 
 Edit request: ${JSON.stringify(editPrompt)}
 Theme: ${JSON.stringify(theme)}
-Screenshot (optional): ${JSON.stringify(screenshotDataUrl ? screenshotDataUrl.slice(0, 2000) + "..." : "")}
+${screenshots.length ? `Screenshots: ${screenshots.length} attached after this message. Their notes point at what to change.` : ""}
 
 Existing index.html: ${JSON.stringify(files["index.html"])}
 Existing style.css: ${JSON.stringify(files["style.css"])}
 Existing game.js: ${JSON.stringify(files["game.js"])}
 `.trim();
 
-    const r = await openaiJson({ model, system, user, timeoutMs: 60000, temperature: 0.35 });
-    if (!r.ok) return res.status(500).json({ ok: false, requestId, echoPrompt: editPrompt, error: r.error || "Edit failed" });
+    hooks.onPhase?.("generating");
+    const cfg = modelConfig(screenshots.length ? "vision" : "edit");
+    const r = await openaiJson({ ...cfg, system, user, images: screenshots, signal: hooks.signal, onToken: hooks.onToken, onRetry: retryHook(hooks) });
+    const llm = llmInfo(r);
+    if (!r.ok || r.repaired) {
+      const errorType = r.ok ? "truncated" : r.errorType;
+      const out = { ok: false, requestId, echoPrompt: editPrompt, error: r.ok ? JSON_ERROR_MESSAGES.truncated : r.error || "Edit failed" };
+      if (errorType) Object.assign(out, { errorType, excerpt: r.excerpt || jsonExcerpt(r.raw) });
+      if (llm) out.llm = llm;
+      return { status: r.aborted ? 499 : 500, body: out };
+    }
 
-    const out = r.json;
-    if (typeof out?.["index.html"] !== "string" || typeof out?.["style.css"] !== "string" || typeof out?.["game.js"] !== "string") {
-      return res.status(500).json({ ok: false, requestId, echoPrompt: editPrompt, error: "AI edit missing file keys" });
+    let out = r.json;
+    let patch = null;
+    if (mode === "patch") {
+      const edits = out?.edits;
+      if (!Array.isArray(edits) || !edits.length) {
+        return { status: 500, body: { ok: false, requestId, echoPrompt: editPrompt, error: "AI patch has no edits", llm } };
+      }
+      hooks.onPhase?.("patching", { edits: edits.length });
+      const applied = applyPatchEdits(files, edits);
+      patch = { summary: safeStr(out?.summary || "", 2000), hunks: applied.hunks };
+      if (applied.conflicts.length && !allowPartial) {
+        const error = `${applied.conflicts.length} of ${applied.hunks.length} edits did not apply`;
+        return { status: 409, body: { ok: false, requestId, echoPrompt: editPrompt, mode, error, patch, llm } };
+      }
+      out = applied.files;
+    } else if (typeof out?.["index.html"] !== "string" || typeof out?.["style.css"] !== "string" || typeof out?.["game.js"] !== "string") {
+      return { status: 500, body: { ok: false, requestId, echoPrompt: editPrompt, error: "AI edit missing file keys", llm } };
     }
 
+    hooks.onPhase?.("post-processing");
     out["index.html"] = ensureCssLink(ensureTikTokScriptOrder(out["index.html"]));
 
-    return res.json({ ok: true, requestId, echoPrompt: editPrompt, files: out });
+    hooks.onPhase?.("validating");
+    const fixed = await lintAndRepairGameJs({ code: out["game.js"], builderRules, hooks });
+    out["game.js"] = fixed.code;
+
+    const result = { ok: true, requestId, echoPrompt: editPrompt, files: out, lint: fixed.lint, diagnostics: analyzeProject(out), llm };
+    if (screenshotInfo.length) result.screenshots = screenshotInfo;
+    if (patch) {
+      // Final per-file diffs also cover post-processing and lint repairs, not just the model's edits.
+      const diffs = diffVersions({ version: "before", files }, { version: "after", files: out }).files;
+      Object.assign(result, { mode, patch: { ...patch, partial: patch.hunks.some((h) => h.status === "conflict"), diffs } });
+    }
+    return projectResult(ctx, result, { source: "edit", prompt: editPrompt, theme, files: out, requestId });
   } catch (err) {
-    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Edit failed" });
+    return failure(requestId, err, "Edit failed");
+  }
+}
+
+function jsonRoute(run) {
+  return async (req, res) => {
+    const r = await run(req.body);
+    res.status(r.status).json(r.body);
+  };
+}
+
+// Server-Sent Events variant of a route handler:
+//   event: phase  { phase: "planning" | "refining" | "generating" | "patching" | "post-processing" | "validating" | "retrying", ... }
+//                 ("retrying" means the tokens streamed so far are discarded; a new attempt follows)
+//   event: token  { text }            partial model output
+//   event: result { ...same body as the JSON route, status }
+// If the client goes away, the upstream model call is aborted.
+function sseRoute(run) {
+  return async (req, res) => {
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const send = (event, data) => {
+      if (controller.signal.aborted || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(": ping\n\n");
+    }, 15000);
+
+    try {
+      const r = await run(req.body, {
+        signal: controller.signal,
+        onPhase: (phase, extra = {}) => send("phase", { phase, ...extra }),
+        onToken: (text) => send("token", { text }),
+      });
+      send("result", { ...r.body, status: r.status });
+    } finally {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/* ===============================
+   Async jobs
+   POST /api/jobs queues a plan/refine/build/build-all/edit payload; clients poll GET /api/jobs/:id.
+   JOBS_CONCURRENCY bounds parallel model calls; JOBS_DIR (optional) persists jobs across restarts.
+   =============================== */
+
+const JOB_RUNNERS = { plan: runPlan, refine: runRefine, build: runBuild, "build-all": runBuildAll, edit: runEdit };
+const JOB_CONCURRENCY = Math.max(1, Math.min(16, Number(process.env.JOBS_CONCURRENCY || 2) || 2));
+const JOB_TTL_MS = Math.max(60000, Number(process.env.JOBS_TTL_MS || 3600000) || 3600000);
+const JOB_DONE = new Set(["succeeded", "failed", "cancelled"]);
+
+// In-memory map of jobs, optionally mirrored to one JSON file per job in `dir`.
+function createJobStore(dir) {
+  const jobs = new Map();
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const f of fs.readdirSync(dir)) {
+      if (!f.endsWith(".json")) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+        if (job?.id) jobs.set(job.id, job);
+      } catch (e) {
+        console.error("Skipping unreadable job file", f, e?.message || e);
+      }
+    }
+  }
+
+  return {
+    get: (id) => jobs.get(id) || null,
+    all: () => Array.from(jobs.values()),
+    save(job) {
+      jobs.set(job.id, job);
+      if (!dir) return;
+      try {
+        const tmp = fileFor(job.id) + ".tmp";
+        fs.writeFileSync(tmp, JSON.stringify(job));
+        fs.renameSync(tmp, fileFor(job.id));
+      } catch (e) {
+        console.error("Failed to persist job", job.id, e?.message || e);
+      }
+    },
+    remove(id) {
+      jobs.delete(id);
+      if (dir) fs.rm(fileFor(id), { force: true }, () => {});
+    },
+  };
+}
+
+const jobStore = createJobStore(safeStr(process.env.JOBS_DIR || "", 500));
+const jobQueue = [];
+const jobControllers = new Map(); // id -> AbortController for running jobs
+
+function publicJob(job) {
+  const { payload: _payload, ...rest } = job;
+  return rest;
+}
+
+function enqueueJob(job) {
+  jobQueue.push(job.id);
+  pumpJobs();
+}
+
+function pumpJobs() {
+  while (jobControllers.size < JOB_CONCURRENCY && jobQueue.length) {
+    const job = jobStore.get(jobQueue.shift());
+    if (job && job.status === "queued") runJob(job);
+  }
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  job.progress = { phase: "starting" };
+  jobStore.save(job);
+
+  let tokens = 0;
+  const hooks = {
+    signal: controller.signal,
+    onPhase: (phase, extra = {}) => {
+      job.progress = { ...extra, phase, tokens };
+      jobStore.save(job);
+    },
+    onToken: (text) => {
+      tokens += text.length;
+      if (job.progress) job.progress.tokens = tokens;
+    },
+  };
+
+  try {
+    const r = await JOB_RUNNERS[job.type](job.payload, hooks);
+    job.httpStatus = r.status;
+    job.result = r.body;
+    job.status = controller.signal.aborted ? "cancelled" : r.status < 300 ? "succeeded" : "failed";
+  } catch (e) {
+    job.status = "failed";
+    job.result = { ok: false, requestId: job.requestId, error: e?.message || "Job failed" };
+  } finally {
+    jobControllers.delete(job.id);
+    job.finishedAt = new Date().toISOString();
+    job.payload = null; // results are kept; inputs (often whole projects) are not
+    jobStore.save(job);
+    pumpJobs();
+  }
+}
+
+function sweepJobs() {
+  const now = Date.now();
+  for (const job of jobStore.all()) {
+    if (JOB_DONE.has(job.status) && now - Date.parse(job.finishedAt || job.createdAt) > JOB_TTL_MS) jobStore.remove(job.id);
+  }
+}
+setInterval(sweepJobs, 60000).unref();
+
+// Jobs that were queued or mid-flight when the process stopped are run again, unless a cancel was requested.
+for (const job of jobStore.all().sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))) {
+  if (job.status !== "queued" && job.status !== "running") continue;
+  if (job.cancelRequested) {
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    job.payload = null;
+    jobStore.save(job);
+    continue;
   }
+  if (!job.payload) {
+    job.status = "failed";
+    job.result = { ok: false, requestId: job.requestId, error: "Job input lost during restart" };
+    jobStore.save(job);
+    continue;
+  }
+  job.status = "queued";
+  job.restarted = (job.restarted || 0) + 1;
+  jobStore.save(job);
+  jobQueue.push(job.id);
+}
+
+/* ===============================
+   Routes
+   =============================== */
+
+app.get("/api/ping", noStore, (_req, res) => {
+  res.json({ ok: true, name: "chattok-builder-api", time: new Date().toISOString(), provider: getProvider()?.name || "none" });
 });
 
+app.get("/api/routes", noStore, (_req, res) => {
+  res.json({ ok: true, routes: listRoutes(app) });
+});
+
+app.get("/api/spec-schema", noStore, (_req, res) => {
+  res.json({ ok: true, schemaVersion: SPEC_SCHEMA_VERSION, schema: SPEC_JSON_SCHEMA });
+});
+
+// Migrates + normalizes a spec without building anything; `valid` is false when it would be rejected.
+app.post("/api/spec/validate", noStore, (req, res) => {
+  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
+  try {
+    const r = normalizeGameSpec(req.body?.spec);
+    res.json({ ok: true, requestId, valid: r.errors.length === 0, schemaVersion: SPEC_SCHEMA_VERSION, ...r });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Validation failed" });
+  }
+});
+
+app.post("/api/plan", noStore, jsonRoute(runPlan));
+app.post("/api/plan/stream", noStore, sseRoute(runPlan));
+app.post("/api/plan/refine", noStore, jsonRoute(runRefine));
+app.post("/api/plan/refine/stream", noStore, sseRoute(runRefine));
+
+app.post("/api/build", noStore, jsonRoute(runBuild));
+app.post("/api/build/stream", noStore, sseRoute(runBuild));
+
+app.post("/api/build-all", noStore, jsonRoute(runBuildAll));
+
+app.post("/api/build-template", noStore, (req, res) => {
+  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
+  try {
+    const prompt = safeStr(req.body?.prompt || "", 40000);
+    const hasSpec = !!(req.body?.spec && typeof req.body.spec === "object");
+    assert(prompt || hasSpec, "Missing prompt or spec");
+
+    const theme = normalizeTheme(req.body?.theme || {});
+    const spec = hasSpec ? assertValidSpec(req.body.spec, theme).spec : fallbackSpecFromIdea(prompt, theme);
+    const out = renderTemplateProject(spec, theme);
+
+    res.json({ ok: true, requestId, echoPrompt: prompt, mode: "template", spec: out.spec, files: out.files });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Template build failed", ...(err.details ? { details: err.details } : {}) });
+  }
+});
+
+app.post("/api/check", noStore, (req, res) => {
+  const requestId = safeStr(req.body?.requestId || crypto.randomUUID(), 120);
+  try {
+    const files = pickFiles(req.body?.files);
+    assert(Object.keys(files).length, "Missing files");
+    const out = { ok: true, requestId, diagnostics: analyzeProject(files) };
+    if (files["game.js"] != null) out.lint = lintGameJs(files["game.js"]);
+    res.json(out);
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Check failed" });
+  }
+});
+
+app.post("/api/edit", noStore, jsonRoute(runEdit));
+app.post("/api/edit/stream", noStore, sseRoute(runEdit));
+
+app.post("/api/jobs", noStore, (req, res) => {
+  const payload = req.body?.payload && typeof req.body.payload === "object" ? { ...req.body.payload } : null;
+  const requestId = safeStr(payload?.requestId || req.body?.requestId || crypto.randomUUID(), 120);
+  try {
+    const type = safeStr(req.body?.type || "", 20);
+    assert(JOB_RUNNERS[type], "Invalid job type (plan, refine, build, build-all, edit)");
+    assert(payload, "Missing payload");
+
+    payload.requestId = requestId; // results and logs carry the client's id
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      requestId,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      payload,
+    };
+    jobStore.save(job);
+    enqueueJob(job);
+
+    res.status(202).json({ ok: true, requestId, jobId: job.id, job: publicJob(job) });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, requestId, error: err.message || "Job submit failed" });
+  }
+});
+
+app.get("/api/jobs/:id", noStore, (req, res) => {
+  const job = jobStore.get(safeStr(req.params.id, 80));
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  const queuePosition = job.status === "queued" ? jobQueue.indexOf(job.id) + 1 : undefined;
+  res.json({ ok: true, requestId: job.requestId, job: { ...publicJob(job), queuePosition } });
+});
+
+app.delete("/api/jobs/:id", noStore, (req, res) => {
+  const job = jobStore.get(safeStr(req.params.id, 80));
+  if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+  if (JOB_DONE.has(job.status)) return res.status(409).json({ ok: false, requestId: job.requestId, error: `Job already ${job.status}`, job: publicJob(job) });
+
+  if (job.status === "queued") {
+    const i = jobQueue.indexOf(job.id);
+    if (i >= 0) jobQueue.splice(i, 1);
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    job.payload = null;
+    jobStore.save(job);
+  } else {
+    job.cancelRequested = true;
+    jobStore.save(job); // so a restart before the runner returns does not run it again
+    jobControllers.get(job.id)?.abort(); // runJob marks it cancelled when the runner returns
+  }
+  res.json({ ok: true, requestId: job.requestId, job: publicJob(job) });
+});
+
+// Shared try/catch + requestId envelope for the synchronous project routes.
+function projectRoute(handler, fallbackMsg) {
+  return (req, res) => {
+    const requestId = safeStr(req.body?.requestId || req.query?.requestId || crypto.randomUUID(), 120);
+    try {
+      const { status = 200, ...body } = handler(req);
+      res.status(status).json({ ok: true, requestId, ...body });
+    } catch (err) {
+      res.status(err.status || 500).json({ ok: false, requestId, error: err.message || fallbackMsg, ...(err.details ? { details: err.details } : {}) });
+    }
+  };
+}
+
+function versionParam(v, fallback) {
+  if (v == null || v === "") return fallback;
+  const n = Number(v);
+  assert(Number.isInteger(n) && n > 0, "Invalid version");
+  return n;
+}
+
+app.get("/api/projects", noStore, projectRoute(() => ({ projects: projectStore.list() }), "List failed"));
+
+app.post("/api/projects", noStore, projectRoute((req) => {
+  const b = req.body || {};
+  const r = projectStore.create({
+    name: safeStr(b.name || b.spec?.title || "Untitled project", 200),
+    builderRules: safeStr(b.builderRules || "", 80000),
+    spec: b.spec && typeof b.spec === "object" ? assertValidSpec(b.spec).spec : null,
+    theme: b.theme,
+    files: b.files,
+    prompt: b.prompt,
+    requestId: b.requestId,
+  });
+  return { status: 201, project: r.project, version: r.version };
+}, "Create failed"));
+
+app.get("/api/projects/:id", noStore, projectRoute((req) => {
+  const project = projectStore.get(req.params.id);
+  return { project, version: project.head ? projectStore.version(project.id, project.head) : null };
+}, "Load failed"));
+
+// name / builderRules update in place; spec, theme or files create a new version.
+app.put("/api/projects/:id", noStore, projectRoute((req) => {
+  const b = req.body || {};
+  let project = projectStore.update(req.params.id, {
+    name: b.name != null ? safeStr(b.name, 200) : null,
+    builderRules: b.builderRules != null ? safeStr(b.builderRules, 80000) : null,
+  });
+  let version = null;
+  if (b.spec || b.theme || b.files) {
+    const spec = b.spec && typeof b.spec === "object" ? assertValidSpec(b.spec).spec : undefined;
+    ({ project, version } = projectStore.addVersion(project.id, { source: "update", prompt: b.prompt, spec, theme: b.theme, files: b.files, requestId: b.requestId }));
+  }
+  return { project, version };
+}, "Update failed"));
+
+app.delete("/api/projects/:id", noStore, projectRoute((req) => {
+  projectStore.remove(req.params.id);
+  return { deleted: req.params.id };
+}, "Delete failed"));
+
+app.get("/api/projects/:id/versions", noStore, projectRoute((req) => ({ versions: projectStore.versions(req.params.id) }), "List failed"));
+
+app.get("/api/projects/:id/versions/:version", noStore, projectRoute((req) => ({
+  version: projectStore.version(req.params.id, versionParam(req.params.version)),
+}), "Load failed"));
+
+// ?from=<n>&to=<n>; defaults compare the head with its parent.
+app.get("/api/projects/:id/diff", noStore, projectRoute((req) => {
+  const project = projectStore.get(req.params.id);
+  const to = versionParam(req.query.to, project.head);
+  const from = versionParam(req.query.from, Math.max(1, to - 1));
+  return { diff: diffVersions(projectStore.version(project.id, from), projectStore.version(project.id, to)) };
+}, "Diff failed"));
+
+// Rollback never rewrites history: it appends a copy of the chosen version as the new head.
+app.post("/api/projects/:id/rollback", noStore, projectRoute((req) => {
+  const n = versionParam(req.body?.version);
+  assert(n, "Missing version");
+  const target = projectStore.version(req.params.id, n);
+  const r = projectStore.addVersion(req.params.id, {
+    source: "rollback",
+    prompt: `Rollback to v${n}`,
+    spec: target.spec,
+    theme: target.theme,
+    files: target.files,
+    replaceFiles: true,
+    requestId: req.body?.requestId,
+    rollbackOf: n,
+  });
+  return { status: 201, project: r.project, version: r.version };
+}, "Rollback failed"));
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`chattok-builder-api listening on :${PORT}`);
+  pumpJobs();
   console.log("Routes:", JSON.stringify(listRoutes(app), null, 2));
 });
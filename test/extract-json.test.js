@@ -0,0 +1,51 @@
+// extractJson() cases: fences, prose, truncation repair and malformed outer objects.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractJson } from "../extract-json.js";
+
+test("plain object", () => {
+  assert.deepEqual(extractJson('{"a":1}'), { ok: true, value: { a: 1 }, repaired: false });
+});
+
+test("fenced object with prose around it", () => {
+  const r = extractJson('Here you go:\n```json\n{"title":"Game","n":2}\n```\nEnjoy!');
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { title: "Game", n: 2 });
+});
+
+test("braces inside strings", () => {
+  const r = extractJson(`Sure {not json} then {"code":"function f() { return '}'; }"}`);
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { code: "function f() { return '}'; }" });
+});
+
+test("truncated object is repaired and flagged", () => {
+  const r = extractJson('{"title":"Game","howToPlay":["one","tw');
+  assert.equal(r.ok, true);
+  assert.equal(r.repaired, true);
+  assert.equal(r.value.title, "Game");
+});
+
+test("prose only is no_json", () => {
+  const r = extractJson("I cannot help with that.");
+  assert.equal(r.ok, false);
+  assert.equal(r.errorType, "no_json");
+});
+
+test("malformed outer object never yields a nested object", () => {
+  const r = extractJson('{"title":"Game","spec":{"archetype":"trivia"},"files":["a",],}');
+  assert.equal(r.ok, false);
+  assert.equal(r.errorType, "invalid");
+});
+
+test("a later top-level object still parses after a malformed one", () => {
+  const r = extractJson('{"broken":[1,],"inner":{"x":1}}\n{"title":"Game"}');
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { title: "Game" });
+});
+
+test("a valid top-level object after a malformed one wins over the malformed one's nested objects", () => {
+  const r = extractJson('{"a":{"b":1},"c":[1,],}\n{"title":"Game"}');
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { title: "Game" });
+});
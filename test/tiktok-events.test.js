@@ -0,0 +1,28 @@
+// Runs every case in fixtures/tiktok-events/ through live-events.js, the toLiveEvent() adapter
+// the server splices into game.js.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { fileURLToPath } from "url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const fixturesDir = path.join(root, "fixtures", "tiktok-events");
+
+// The file is a plain browser script (no exports): run it in its own context and take its global.
+const sandbox = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(root, "live-events.js"), "utf8"), sandbox, { filename: "live-events.js" });
+// Results come from the sandbox realm; copy them so deepEqual compares plain data.
+const toLiveEvent = (type, data) => JSON.parse(JSON.stringify(sandbox.toLiveEvent(type, data)));
+
+for (const file of fs.readdirSync(fixturesDir).filter((f) => f.endsWith(".json")).sort()) {
+  const { event, cases } = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), "utf8"));
+  for (const c of cases) {
+    test(`${event}: ${c.name}`, () => {
+      const ev = toLiveEvent(event, c.payload);
+      assert.equal(ev.type, event);
+      for (const [k, want] of Object.entries(c.expect)) assert.deepEqual(ev[k], want, `${event}/${c.name}: ${k}`);
+    });
+  }
+}